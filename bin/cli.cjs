@@ -1,56 +1,546 @@
 #!/usr/bin/env node
 "use strict";
 
-const { recommendTokensDual, recommendTokensDualAsJson } = require("../dist/cjs/index.cjs");
+const fs = require("fs");
+const path = require("path");
+const lib = require("../dist/cjs/index.cjs");
 
-const args = process.argv.slice(2);
-const hexArg = args.find((a) => /^#?[0-9A-Fa-f]{6}$/.test(a.replace("#", "")));
-const primaryHex = hexArg ? ("#" + hexArg.replace(/^#/, "")) : null;
-
-if (!primaryHex) {
-  console.error(`
+const HELP = `
 chroma-ux — Primary 색상으로 라이트/다크 토큰 생성
 
 사용법:
-  npx chroma-ux <primary-hex>
+  npx chroma-ux [generate] <primary-hex> [옵션]
+  npx chroma-ux validate <tokens.json> [옵션]
+  npx chroma-ux inspect <hex> [--on <hex>]
+  npx chroma-ux build [--config <파일>] [--brand <이름,…>]
+  npx chroma-ux report <tokens.json | primary-hex> [--out report.html]
+  npx chroma-ux matrix <tokens.json> [--fg <경로,…>] [--bg <경로,…>] [--format json|csv]
 
 예시:
   npx chroma-ux 5B5FF5
-  npx chroma-ux #5B5FF5
-
-옵션:
-  --json    JSON 형식으로 출력 (기본)
-  --css     CSS 변수 형식으로 출력
-`);
-  process.exit(1);
-}
-
-const format = args.includes("--css") ? "css" : "json";
-const result = recommendTokensDual({
-  primaryHex,
-  contrastTarget: "AA",
-  iterations: 3000,
-  randomSeed: 42,
-});
-
-if (format === "css") {
-  const { light, dark } = result;
-  console.log("/* Light theme */");
-  console.log(":root {");
-  Object.entries(light.tokens).forEach(([k, v]) => {
-    if (typeof v === "string" && v.startsWith("#")) {
-      console.log(`  --color-${k.replace(/([A-Z])/g, "-$1").toLowerCase()}: ${v};`);
+  npx chroma-ux generate #5B5FF5 --target AAA --format css --out tokens.css
+  npx chroma-ux generate 5B5FF5 --format android --out ./res
+  npx chroma-ux validate tokens.json --target AA
+  npx chroma-ux inspect 5B5FF5 --on FFFFFF
+  npx chroma-ux build --config chroma-ux.config.json
+  npx chroma-ux report 5B5FF5 --target AAA --out report.html
+  npx chroma-ux matrix tokens.json --fg accent,textTertiary --bg surface2 --format csv
+
+generate 옵션:
+  --dark-primary <hex>    다크 전용 Primary
+  --seed-hex <hex>        중성/액센트 시드
+  --target <AA|AAA>       대비 목표 (기본 AA)
+  --model <wcag2|apca>    대비 모델 (기본 wcag2)
+  --gamut <srgb|p3>       출력 색역 (기본 srgb)
+  --schema <default|material3>
+  --iterations <n>        최적화 반복 수 (기본 3500)
+  --seed <n>              재현용 시드 (기본 42)
+  --temperature <n>       초기 온도 (기본 1.0)
+  --cooling <n>           냉각률 (기본 0.985)
+  --cvd <목록>            색각 모드 쉼표 구분 (기본 none,protan,deutan,tritan)
+                          protan | deutan | tritan | achromatopsia | blueConeMonochromacy,
+                          severity는 유형:0~1 (예: deutan:0.6)
+  --metric <지표>         색차 지표 ok (기본) | ciede2000 | cam16ucs
+  --jnd <k=v,…>           최소 분리도, JND 단위 (기본 semantic=3,cvd=2.5)
+  --weights <k=v,…|json>  점수 가중치 (예: contrast=4,harmony=0.5)
+  --rules <파일|json>     추가 대비 규칙 [{ "fg", "bg", "min", "mode"? }]
+  --roles <파일|json>     사용자 역할 { "link": { "from": "primary", … } }
+  --border-min <n>        border/surface 최소 대비 (기본 1.5, 입력 외곽선은 3)
+  --no-vibrant            채도를 낮게 시작
+  --no-conventional       semantic hue를 관례(초록/노랑/빨강/파랑)에 묶지 않음
+  --pareto                비지배 front도 함께 계산 (json 출력의 light/dark.front)
+  --cross-mode <방식>     라이트/다크 hue 결합: independent (기본) | shared | penalized
+
+출력 옵션:
+  --format <형식>         json (기본) | css | dtcg | tailwind | tailwind4 |
+                          android | ios | flutter | compose
+  --json / --css          --format json / --format css 와 같음
+  --strategy <전략>       css/tailwind: data-attribute | class | media | light-dark
+  --prefix <이름>         css/tailwind/android 변수 접두사
+  --out <경로>            파일로 저장 (파일이 여러 개인 형식은 디렉터리)
+
+validate 옵션:
+  --target, --model, --cvd, --rules, --roles, --border-min  generate와 같음
+  --json                    전체 검증 결과를 JSON으로 출력
+  --suggest                 실패한 쌍마다 가장 가까운 통과 색 제안
+                            (--json과 함께 쓰면 suggestions/patched 포함)
+  실패한 검사가 있으면 종료 코드 1
+
+report 옵션:
+  <tokens.json>             generate --format json 출력으로 보고서 생성
+  <primary-hex>             generate 옵션으로 생성한 뒤 보고서 생성
+  --title <제목>            문서 제목
+  --out <파일>              HTML 저장 (없으면 stdout)
+
+matrix 옵션:
+  --fg / --bg <경로,…>      전경/배경 토큰 (기본: 전체). "semantic.*.base", "buttonPrimary" 허용
+  --cvd <목록>              함께 계산할 색각 모드 (기본 protan,deutan,tritan)
+  --format <json|csv>       출력 형식 (기본 json)
+  --out <파일>              파일로 저장
+
+build 옵션:
+  --config <파일>           설정 파일 (기본: ./chroma-ux.config.{js,mjs,json})
+  --brand <이름,…>          일부 브랜드만 생성
+  출력 경로는 설정 파일 기준, 기본은 <outDir>/<브랜드>/
+`;
+
+const CVD_MODES = ["none", "protan", "deutan", "tritan"];
+
+function fail(message) {
+  console.error(`chroma-ux: ${message}`);
+  process.exit(2);
+}
+
+/* -----------------------------
+   Argument parsing
+------------------------------ */
+const BOOLEAN_FLAGS = ["json", "css", "help", "no-vibrant", "no-conventional", "suggest", "pareto"];
+
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "-h") {
+      flags.help = true;
+    } else if (a.startsWith("--")) {
+      const eq = a.indexOf("=");
+      const name = eq >= 0 ? a.slice(2, eq) : a.slice(2);
+      if (BOOLEAN_FLAGS.includes(name)) {
+        flags[name] = true;
+      } else if (eq >= 0) {
+        flags[name] = a.slice(eq + 1);
+      } else {
+        if (i + 1 >= argv.length) fail(`--${name} 값이 필요합니다.`);
+        flags[name] = argv[++i];
+      }
+    } else {
+      positional.push(a);
+    }
+  }
+  return { positional, flags };
+}
+
+function parseHex(value, name) {
+  const h = String(value).trim().replace(/^#/, "");
+  if (!/^[0-9A-Fa-f]{6}$/.test(h)) fail(`${name}: 잘못된 hex입니다: ${value}`);
+  return "#" + h.toUpperCase();
+}
+
+function parseNumber(value, name) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) fail(`${name}: 숫자가 아닙니다: ${value}`);
+  return n;
+}
+
+function parseChoice(value, name, choices) {
+  if (!choices.includes(value)) fail(`${name}: ${choices.join(" | ")} 중 하나여야 합니다.`);
+  return value;
+}
+
+function parseCvd(value) {
+  const modes = String(value)
+    .split(",")
+    .map((m) => m.trim())
+    .filter(Boolean);
+  for (const m of modes) {
+    try {
+      lib.normalizeCvdMode(m);
+    } catch (e) {
+      fail(`--cvd: ${e.message}`);
+    }
+  }
+  return modes;
+}
+
+// "k=v,…" 또는 인라인 JSON -> { k: number }
+function parseKeyValues(value, name) {
+  if (value.trim().startsWith("{")) {
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      fail(`${name}: JSON 파싱 실패: ${e.message}`);
+    }
+  }
+  const out = {};
+  for (const part of value.split(",")) {
+    const [k, v] = part.split("=");
+    if (!k || v === undefined) fail(`${name}: key=value 형식이어야 합니다: ${part}`);
+    out[k.trim()] = parseNumber(v, `${name} ${k.trim()}`);
+  }
+  return out;
+}
+
+// 인라인 JSON 또는 JSON 파일 경로
+function parseJsonOption(value, name) {
+  let text = value;
+  if (!/^\s*[[{]/.test(value)) {
+    try {
+      text = fs.readFileSync(value, "utf8");
+    } catch (e) {
+      fail(`${name}: ${e.message}`);
+    }
+  }
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    fail(`${name}: JSON 파싱 실패: ${e.message}`);
+  }
+}
+
+function contrastFlags(flags) {
+  return {
+    target: flags.target ? parseChoice(flags.target, "--target", ["AA", "AAA"]) : "AA",
+    model: flags.model ? parseChoice(flags.model, "--model", ["wcag2", "apca"]) : "wcag2",
+    cvdModes: flags.cvd ? parseCvd(flags.cvd) : CVD_MODES,
+  };
+}
+
+function generateOptions(primaryHex, flags) {
+  const { target, model, cvdModes } = contrastFlags(flags);
+  const options = {
+    primaryHex,
+    contrastTarget: target,
+    contrastModel: model,
+    cvdModes,
+    randomSeed: flags.seed !== undefined ? parseNumber(flags.seed, "--seed") : 42,
+  };
+  if (flags["dark-primary"]) {
+    options.primaryDarkHex = parseHex(flags["dark-primary"], "--dark-primary");
+  }
+  if (flags["seed-hex"]) options.seedHex = parseHex(flags["seed-hex"], "--seed-hex");
+  if (flags.gamut) options.gamut = parseChoice(flags.gamut, "--gamut", ["srgb", "p3"]);
+  if (flags.schema) {
+    options.schema = parseChoice(flags.schema, "--schema", ["default", "material3"]);
+  }
+  if (flags.iterations !== undefined) {
+    options.iterations = parseNumber(flags.iterations, "--iterations");
+  }
+  if (flags.temperature !== undefined) {
+    options.temperature = parseNumber(flags.temperature, "--temperature");
+  }
+  if (flags.cooling !== undefined) options.cooling = parseNumber(flags.cooling, "--cooling");
+  if (flags.weights) options.weights = parseKeyValues(flags.weights, "--weights");
+  if (flags.metric) {
+    options.differenceMetric = parseChoice(flags.metric, "--metric", lib.DIFFERENCE_METRICS);
+  }
+  if (flags.jnd) options.separationJnd = parseKeyValues(flags.jnd, "--jnd");
+  if (flags.rules) options.rules = parseJsonOption(flags.rules, "--rules");
+  if (flags.roles) options.roles = parseJsonOption(flags.roles, "--roles");
+  if (flags["border-min"] !== undefined) {
+    options.borderMin = parseNumber(flags["border-min"], "--border-min");
+  }
+  if (flags["no-vibrant"]) options.preferVibrant = false;
+  if (flags["no-conventional"]) options.semanticConventional = false;
+  if (flags.pareto) options.pareto = true;
+  if (flags["cross-mode"]) {
+    options.crossMode = parseChoice(flags["cross-mode"], "--cross-mode", lib.CROSS_MODES);
+  }
+  return options;
+}
+
+// 옵션 오류(잘못된 규칙·잠금 등)는 스택 대신 메시지로 종료
+function generate(options) {
+  try {
+    return lib.recommendTokensDual(options);
+  } catch (e) {
+    fail(e.message);
+  }
+}
+
+/* -----------------------------
+   Output
+------------------------------ */
+function writeFiles(files, out, intoDir = false) {
+  const names = Object.keys(files);
+  if (!out) {
+    if (names.length > 1) {
+      fail(`이 형식은 파일이 ${names.length}개라 --out <디렉터리>가 필요합니다.`);
+    }
+    process.stdout.write(files[names[0]]);
+    return;
+  }
+  // 단일 파일 형식은 --out을 파일 경로로, 나머지는 디렉터리로 사용
+  const targets =
+    names.length === 1 && !intoDir
+      ? [[names[0], path.resolve(out)]]
+      : names.map((n) => [n, path.resolve(out, n)]);
+  for (const [name, target] of targets) {
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, files[name]);
+    console.error(`wrote ${path.relative(process.cwd(), target) || name}`);
+  }
+}
+
+/* -----------------------------
+   Commands
+------------------------------ */
+function cmdGenerate(positional, flags) {
+  if (!positional[0]) fail("primary hex가 필요합니다. (chroma-ux --help)");
+  const primaryHex = parseHex(positional[0], "primary");
+
+  let format = flags.format ?? "json";
+  if (flags.css) format = "css";
+  if (flags.json) format = "json";
+  parseChoice(format, "--format", lib.EXPORT_FORMATS);
+
+  const exportOptions = {};
+  if (flags.strategy) exportOptions.strategy = flags.strategy;
+  if (flags.prefix !== undefined) exportOptions.prefix = flags.prefix;
+
+  const result = generate(generateOptions(primaryHex, flags));
+  let files;
+  try {
+    files = lib.exportFiles(result, format, exportOptions);
+  } catch (e) {
+    fail(e.message);
+  }
+  writeFiles(files, flags.out);
+}
+
+function readTokenSets(file) {
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    fail(`${file}: ${e.message}`);
+  }
+  if (doc.light && doc.light.tokens && doc.dark && doc.dark.tokens) {
+    return [
+      ["light", doc.light.tokens],
+      ["dark", doc.dark.tokens],
+    ];
+  }
+  if (JSON.stringify(doc).includes('"$value"')) {
+    try {
+      const tokens = lib.fromDtcg(doc);
+      return [[tokens.mode ?? path.basename(file), tokens]];
+    } catch (e) {
+      fail(`${file}: ${e.message}`);
+    }
+  }
+  return [[doc.mode ?? path.basename(file), doc]];
+}
+
+function formatCheck(c, model) {
+  const value = model === "apca" ? `Lc ${c.lc.toFixed(1)} (min ${c.minLc})` : c.ratio.toFixed(2);
+  return `${c.pass ? "PASS" : "FAIL"}  ${c.pair} [${c.mode}] ${value}`;
+}
+
+function cmdValidate(positional, flags) {
+  if (!positional[0]) fail("검증할 토큰 JSON 경로가 필요합니다.");
+  const { target, model, cvdModes } = contrastFlags(flags);
+
+  const reports = readTokenSets(positional[0]).map(([name, tokens]) => {
+    const options = { contrastModel: model };
+    if (flags.rules) options.rules = parseJsonOption(flags.rules, "--rules");
+    if (flags.roles) options.roles = parseJsonOption(flags.roles, "--roles");
+    if (flags["border-min"] !== undefined) {
+      options.borderMin = parseNumber(flags["border-min"], "--border-min");
+    }
+    try {
+      const report = lib.validateTokens(tokens, target, cvdModes, options);
+      if (flags.suggest && !report.pass) {
+        const fixes = lib.suggestFixes(tokens, target, cvdModes, options);
+        report.suggestions = fixes.suggestions;
+        report.patched = fixes.patched;
+      }
+      return [name, report];
+    } catch (e) {
+      fail(`${name}: 토큰 구조가 올바르지 않습니다 (${e.message})`);
     }
   });
-  console.log("}\n");
-  console.log("/* Dark theme */");
-  console.log('[data-theme="dark"] {');
-  Object.entries(dark.tokens).forEach(([k, v]) => {
-    if (typeof v === "string" && v.startsWith("#")) {
-      console.log(`  --color-${k.replace(/([A-Z])/g, "-$1").toLowerCase()}: ${v};`);
+
+  if (flags.json) {
+    console.log(JSON.stringify(Object.fromEntries(reports), null, 2));
+  } else {
+    for (const [name, report] of reports) {
+      const checks = [
+        ...report.base,
+        ...report.states,
+        ...report.nonText,
+        ...(report.rules ?? []),
+      ].flatMap((r) => r.checks);
+      const failed = checks.filter((c) => !c.pass);
+      console.log(
+        `${name}: ${report.pass ? "PASS" : "FAIL"} (${checks.length - failed.length}/${
+          checks.length
+        })`
+      );
+      for (const c of failed) console.log(`  ${formatCheck(c, model)}`);
+      if (report.suggestions) {
+        console.log("  제안:");
+        for (const sug of report.suggestions) console.log(`    ${sug.message}`);
+      }
+    }
+  }
+  process.exit(reports.every(([, r]) => r.pass) ? 0 : 1);
+}
+
+function cmdInspect(positional, flags) {
+  if (!positional[0]) fail("hex가 필요합니다.");
+  const hex = parseHex(positional[0], "hex");
+  const c = lib.hexToOklch(hex);
+  const rgb = lib.hexToRgb(hex);
+  const against = flags.on ? [parseHex(flags.on, "--on")] : ["#FFFFFF", "#000000"];
+
+  console.log(hex);
+  console.log(
+    `  rgb    ${Math.round(rgb.r * 255)} ${Math.round(rgb.g * 255)} ${Math.round(rgb.b * 255)}`
+  );
+  console.log(`  oklch  ${c.L.toFixed(4)} ${c.C.toFixed(4)} ${c.H.toFixed(2)}`);
+  console.log(`  p3     ${lib.formatP3(lib.oklchToP3(c))}`);
+  console.log(`  lum    ${lib.relativeLuminance(rgb).toFixed(4)}`);
+  console.log("  contrast");
+  for (const bg of against) {
+    const ratio = lib.contrastRatio(hex, bg);
+    const lc = lib.apcaContrast(hex, bg);
+    const level = ratio >= 7 ? "AAA" : ratio >= 4.5 ? "AA" : ratio >= 3 ? "AA large" : "fail";
+    console.log(`    on ${bg}  ${ratio.toFixed(2)}:1 (${level})  Lc ${lc.toFixed(1)}`);
+  }
+  console.log("  deltaE");
+  for (const bg of against) {
+    const parts = lib.DIFFERENCE_METRICS.map((m) => {
+      const dE = lib.deltaE(hex, bg, m);
+      return `${m} ${dE.toFixed(m === "ok" ? 4 : 2)} (${(dE / lib.DELTA_E_JND[m]).toFixed(1)} JND)`;
+    });
+    console.log(`    vs ${bg}  ${parts.join("  ")}`);
+  }
+  console.log("  cvd");
+  for (const mode of lib.CVD_TYPES) console.log(`    ${mode.padEnd(21)}${lib.applyCvd(hex, mode)}`);
+}
+
+function cmdReport(positional, flags) {
+  const input = positional[0];
+  if (!input) fail("토큰 JSON 경로 또는 primary hex가 필요합니다.");
+
+  let result;
+  if (fs.existsSync(input)) {
+    try {
+      result = JSON.parse(fs.readFileSync(input, "utf8"));
+    } catch (e) {
+      fail(`${input}: ${e.message}`);
+    }
+    if (!result.light || !result.dark) fail(`${input}: generate --format json 출력이 아닙니다.`);
+  } else {
+    result = generate(generateOptions(parseHex(input, "primary"), flags));
+  }
+
+  const options = flags.title ? { title: flags.title } : {};
+  writeFiles({ "report.html": lib.renderReport(result, options) }, flags.out);
+}
+
+function splitList(value) {
+  return String(value)
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function cmdMatrix(positional, flags) {
+  if (!positional[0]) fail("토큰 JSON 경로가 필요합니다.");
+  const format = flags.format ? parseChoice(flags.format, "--format", ["json", "csv"]) : "json";
+  const options = {};
+  if (flags.fg) options.foregrounds = splitList(flags.fg);
+  if (flags.bg) options.backgrounds = splitList(flags.bg);
+  if (flags.cvd) options.cvdModes = parseCvd(flags.cvd);
+
+  const matrices = readTokenSets(positional[0]).map(([name, tokens]) => {
+    try {
+      const m = lib.contrastMatrix(tokens, options);
+      return { ...m, mode: m.mode ?? name };
+    } catch (e) {
+      fail(`${name}: ${e.message}`);
     }
   });
-  console.log("}");
+
+  const content =
+    format === "csv"
+      ? lib.contrastMatrixToCsv(matrices)
+      : JSON.stringify(Object.fromEntries(matrices.map((m) => [m.mode, m])), null, 2) + "\n";
+  writeFiles({ [`contrast-matrix.${format}`]: content }, flags.out);
+}
+
+const CONFIG_FILES = ["chroma-ux.config.js", "chroma-ux.config.mjs", "chroma-ux.config.json"];
+
+async function loadConfig(file) {
+  if (file.endsWith(".json")) {
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (e) {
+      fail(`${file}: ${e.message}`);
+    }
+  }
+  const { pathToFileURL } = require("url");
+  const mod = await import(pathToFileURL(file).href);
+  return mod.default ?? mod;
+}
+
+async function cmdBuild(positional, flags) {
+  let file = flags.config ?? positional[0];
+  if (!file) {
+    file = CONFIG_FILES.find((f) => fs.existsSync(f));
+    if (!file) fail(`설정 파일이 없습니다 (${CONFIG_FILES.join(", ")}).`);
+  }
+  file = path.resolve(file);
+  if (!fs.existsSync(file)) fail(`설정 파일을 찾을 수 없습니다: ${file}`);
+
+  let config;
+  try {
+    config = lib.validateConfig(await loadConfig(file));
+  } catch (e) {
+    fail(`${path.relative(process.cwd(), file)}: ${e.message}`);
+  }
+
+  // 상대 경로는 설정 파일 기준, {brand}는 브랜드 이름으로 치환
+  const baseDir = path.dirname(file);
+  const outDir = path.resolve(baseDir, config.outDir ?? "tokens");
+  let brands = config.brands;
+  if (flags.brand) {
+    const only = flags.brand.split(",").map((b) => b.trim());
+    for (const b of only) parseChoice(b, "--brand", brands.map((x) => x.name));
+    brands = brands.filter((b) => only.includes(b.name));
+  }
+
+  for (const brand of brands) {
+    console.error(`[${brand.name}] ${brand.options.primaryHex}`);
+    const result = generate(brand.options);
+    for (const output of brand.outputs) {
+      let files;
+      try {
+        files = lib.exportFiles(result, output.format, output.options);
+      } catch (e) {
+        fail(`[${brand.name}] ${output.format}: ${e.message}`);
+      }
+      if (output.out) {
+        writeFiles(files, path.resolve(baseDir, output.out.replace(/\{brand\}/g, brand.name)));
+      } else {
+        writeFiles(files, path.join(outDir, brand.name), true);
+      }
+    }
+  }
+}
+
+/* -----------------------------
+   Main
+------------------------------ */
+const { positional, flags } = parseArgs(process.argv.slice(2));
+const COMMANDS = {
+  generate: cmdGenerate,
+  validate: cmdValidate,
+  inspect: cmdInspect,
+  build: cmdBuild,
+  report: cmdReport,
+  matrix: cmdMatrix,
+};
+
+if (flags.help || positional.length === 0) {
+  console.error(HELP);
+  process.exit(flags.help ? 0 : 1);
+}
+
+if (COMMANDS[positional[0]]) {
+  COMMANDS[positional[0]](positional.slice(1), flags);
 } else {
-  console.log(recommendTokensDualAsJson({ primaryHex, contrastTarget: "AA", randomSeed: 42 }));
+  cmdGenerate(positional, flags);
 }
@@ -0,0 +1,293 @@
+import { WEIGHT_KEYS } from "./weights.js";
+import { EXPORT_FORMATS } from "./exporters/formats.js";
+
+/* -----------------------------
+   Config file schema
+   chroma-ux.config.{js,mjs,json}
+------------------------------ */
+const CVD_TYPES = ["protan", "deutan", "tritan", "achromatopsia", "blueConeMonochromacy"];
+const DIFFERENCE_METRICS = ["ok", "ciede2000", "cam16ucs"];
+const SEPARATION_KEYS = ["semantic", "cvd"];
+const CROSS_MODES = ["independent", "shared", "penalized"];
+
+const OUTPUT_OPTION_KEYS = [
+  "format",
+  "out",
+  "prefix",
+  "strategy",
+  "rootSelector",
+  "darkSelector",
+  "wide",
+  "wideFormat",
+  "catalog",
+  "colorSpace",
+  "className",
+  "fileName",
+  "packageName",
+];
+
+function isPlainObject(v) {
+  return !!v && typeof v === "object" && !Array.isArray(v);
+}
+
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+    }
+  }
+  return d[a.length][b.length];
+}
+
+function unknownKeyMessage(key, known) {
+  const near = known
+    .map((k) => [k, editDistance(key.toLowerCase(), k.toLowerCase())])
+    .sort((x, y) => x[1] - y[1])[0];
+  const hint = near && near[1] <= 2 ? ` (did you mean "${near[0]}"?)` : "";
+  return `unknown key "${key}"${hint}`;
+}
+
+// 필드별 검사기: 정규화된 값을 반환하거나 err로 오류를 남김
+const hex = (v, err) => {
+  const h = typeof v === "string" ? v.trim().replace(/^#/, "") : "";
+  if (!/^[0-9A-Fa-f]{6}$/.test(h)) return err(`invalid hex ${JSON.stringify(v)}`);
+  return "#" + h.toUpperCase();
+};
+
+const oneOf = (choices) => (v, err) =>
+  choices.includes(v) ? v : err(`must be one of ${choices.map((c) => `"${c}"`).join(", ")}`);
+
+const number = (v, err) =>
+  typeof v === "number" && Number.isFinite(v) ? v : err("must be a number");
+
+const positiveInt = (v, err) =>
+  Number.isInteger(v) && v > 0 ? v : err("must be a positive integer");
+
+const integer = (v, err) => (Number.isInteger(v) ? v : err("must be an integer"));
+
+const boolean = (v, err) => (typeof v === "boolean" ? v : err("must be true or false"));
+
+// "none" | 유형 | "유형:severity" | { type, severity }
+const cvd = (v, err) => {
+  if (!Array.isArray(v) || v.length === 0) return err("must be a non-empty array");
+  v.forEach((m, i) => {
+    if (m === "none") return;
+    // 객체 형식의 severity는 숫자만 (문자열 "유형:severity"만 파싱)
+    const [type, severity] =
+      m && typeof m === "object"
+        ? [m.type, m.severity ?? 1]
+        : String(m)
+            .split(":")
+            .map((part, j) => (j === 1 ? Number(part) : part));
+    if (!CVD_TYPES.includes(type)) {
+      err(`[${i}] must be "none" or one of ${CVD_TYPES.join(", ")}`);
+    } else if (
+      severity !== undefined &&
+      (typeof severity !== "number" || !(severity >= 0 && severity <= 1))
+    ) {
+      err(`[${i}] severity must be a number between 0 and 1`);
+    }
+  });
+  return v;
+};
+
+// JND 단위 최소 분리도 { semantic?, cvd? }
+const separationJnd = (v, err) => {
+  if (!isPlainObject(v)) return err("must be { semantic?, cvd? }");
+  for (const [k, n] of Object.entries(v)) {
+    if (!SEPARATION_KEYS.includes(k)) err(`.${k}: ${unknownKeyMessage(k, SEPARATION_KEYS)}`);
+    else if (typeof n !== "number" || !(n >= 0)) err(`.${k}: must be a non-negative number`);
+  }
+  return v;
+};
+
+const weights = (v, err) => {
+  if (!isPlainObject(v)) return err("must be an object");
+  for (const [k, w] of Object.entries(v)) {
+    if (!WEIGHT_KEYS.includes(k)) err(`.${k}: ${unknownKeyMessage(k, WEIGHT_KEYS)}`);
+    else if (typeof w !== "number" || !Number.isFinite(w)) err(`.${k}: must be a number`);
+  }
+  return v;
+};
+
+const locked = (v, err) => {
+  if (!isPlainObject(v)) return err("must be { light: { path: hex }, dark: { … } }");
+  const out = {};
+  for (const [mode, entries] of Object.entries(v)) {
+    if (mode !== "light" && mode !== "dark") {
+      err(`.${mode}: ${unknownKeyMessage(mode, ["light", "dark"])}`);
+    } else if (!isPlainObject(entries)) {
+      err(`.${mode}: must be an object of token path -> hex`);
+    } else {
+      out[mode] = {};
+      for (const [path, value] of Object.entries(entries)) {
+        out[mode][path] = hex(value, (msg) => err(`.${mode}.${path}: ${msg}`));
+      }
+    }
+  }
+  return out;
+};
+
+const RULE_KEYS = ["fg", "bg", "min", "mode", "name"];
+
+const rules = (v, err) => {
+  if (!Array.isArray(v)) return err("must be an array of { fg, bg, min }");
+  v.forEach((r, i) => {
+    if (!isPlainObject(r)) return err(`[${i}]: must be { fg, bg, min, mode?, name? }`);
+    for (const k of Object.keys(r)) {
+      if (!RULE_KEYS.includes(k)) err(`[${i}].${k}: ${unknownKeyMessage(k, RULE_KEYS)}`);
+    }
+    if (typeof r.fg !== "string" || typeof r.bg !== "string") {
+      err(`[${i}]: fg and bg token paths are required`);
+    }
+    if (typeof r.min !== "number" || !(r.min > 0)) err(`[${i}].min: must be a positive number`);
+    if (r.mode !== undefined && r.mode !== "light" && r.mode !== "dark") {
+      err(`[${i}].mode: must be "light" or "dark"`);
+    }
+  });
+  return v;
+};
+
+// 레시피 내용은 recommendTokensDual이 검증
+const roles = (v, err) => (isPlainObject(v) ? v : err("must be an object keyed by role name"));
+
+const outputs = (v, err) => {
+  if (!Array.isArray(v)) return err("must be an array");
+  return v.map((o, i) => {
+    const e = (msg) => err(`[${i}]${msg.startsWith(".") ? "" : ": "}${msg}`);
+    const spec = typeof o === "string" ? { format: o } : o;
+    if (!isPlainObject(spec)) return e("must be a format name or { format, out, … }");
+    for (const k of Object.keys(spec)) {
+      if (!OUTPUT_OPTION_KEYS.includes(k)) e(`.${k}: ${unknownKeyMessage(k, OUTPUT_OPTION_KEYS)}`);
+    }
+    if (!EXPORT_FORMATS.includes(spec.format)) {
+      e(`.format: must be one of ${EXPORT_FORMATS.join(", ")}`);
+    }
+    if (spec.out !== undefined && typeof spec.out !== "string") e(".out: must be a string");
+    const { format, out, ...options } = spec;
+    return { format, out, options };
+  });
+};
+
+// 브랜드 키 -> [검사기, recommendTokensDual 옵션 이름]
+const BRAND_FIELDS = {
+  primary: [hex, "primaryHex"],
+  primaryDark: [hex, "primaryDarkHex"],
+  seedHex: [hex, "seedHex"],
+  target: [oneOf(["AA", "AAA"]), "contrastTarget"],
+  model: [oneOf(["wcag2", "apca"]), "contrastModel"],
+  gamut: [oneOf(["srgb", "p3"]), "gamut"],
+  schema: [oneOf(["default", "material3"]), "schema"],
+  locked: [locked, "locked"],
+  rules: [rules, "rules"],
+  roles: [roles, "roles"],
+  borderMin: [number, "borderMin"],
+  iterations: [positiveInt, "iterations"],
+  seed: [integer, "randomSeed"],
+  temperature: [number, "temperature"],
+  cooling: [number, "cooling"],
+  cvd: [cvd, "cvdModes"],
+  differenceMetric: [oneOf(DIFFERENCE_METRICS), "differenceMetric"],
+  separationJnd: [separationJnd, "separationJnd"],
+  crossMode: [oneOf(CROSS_MODES), "crossMode"],
+  weights: [weights, "weights"],
+  preferVibrant: [boolean, "preferVibrant"],
+  semanticConventional: [boolean, "semanticConventional"],
+  outputs: [outputs, null],
+};
+
+const BRAND_KEYS = ["name", ...Object.keys(BRAND_FIELDS)];
+const TOP_KEYS = ["outDir", "defaults", "brands"];
+
+function checkFields(obj, where, allowed, errors) {
+  const out = {};
+  for (const [k, v] of Object.entries(obj)) {
+    if (!allowed.includes(k)) {
+      errors.push(`${where}: ${unknownKeyMessage(k, allowed)}`);
+      continue;
+    }
+    if (k === "name") continue;
+    const err = (msg) => {
+      errors.push(`${where}.${k}${msg.startsWith(".") || msg.startsWith("[") ? "" : ": "}${msg}`);
+      return undefined;
+    };
+    out[k] = BRAND_FIELDS[k][0](v, err);
+  }
+  return out;
+}
+
+/**
+ * 설정 객체를 검증하고 브랜드별 recommendTokensDual 옵션과 출력 목록으로 정규화.
+ * 알 수 없는 키, 잘못된 hex/값은 모아서 하나의 Error로 던짐.
+ *
+ * 반환: { outDir, brands: [{ name, options, outputs: [{ format, out, options }] }] }
+ */
+export function validateConfig(config) {
+  const errors = [];
+  if (!isPlainObject(config)) throw new Error("Invalid chroma-ux config: must be an object.");
+
+  for (const k of Object.keys(config)) {
+    if (!TOP_KEYS.includes(k)) errors.push(`config: ${unknownKeyMessage(k, TOP_KEYS)}`);
+  }
+  if (config.outDir !== undefined && typeof config.outDir !== "string") {
+    errors.push("outDir: must be a string");
+  }
+
+  let defaults = {};
+  if (config.defaults !== undefined) {
+    if (!isPlainObject(config.defaults)) errors.push("defaults: must be an object");
+    else {
+      defaults = checkFields(
+        config.defaults,
+        "defaults",
+        BRAND_KEYS.filter((k) => k !== "name" && k !== "primary"),
+        errors
+      );
+    }
+  }
+
+  let entries = [];
+  if (Array.isArray(config.brands)) {
+    entries = config.brands.map((b, i) => [`brands[${i}]`, b, b && b.name]);
+  } else if (isPlainObject(config.brands)) {
+    entries = Object.entries(config.brands).map(([name, b]) => [`brands.${name}`, b, name]);
+  } else {
+    errors.push("brands: must be an array or an object keyed by brand name");
+  }
+  if (entries.length === 0 && !errors.some((e) => e.startsWith("brands:"))) {
+    errors.push("brands: at least one brand is required");
+  }
+
+  const seen = new Set();
+  const brands = [];
+  for (const [where, b, name] of entries) {
+    if (!isPlainObject(b)) {
+      errors.push(`${where}: must be an object`);
+      continue;
+    }
+    if (typeof name !== "string" || !/^[\w.-]+$/.test(name)) {
+      errors.push(`${where}.name: required, letters/digits/._- only`);
+    } else if (seen.has(name)) {
+      errors.push(`${where}.name: duplicate brand "${name}"`);
+    } else {
+      seen.add(name);
+    }
+    if (b.primary === undefined) errors.push(`${where}.primary: required`);
+
+    const fields = { ...defaults, ...checkFields(b, where, BRAND_KEYS, errors) };
+    const options = {};
+    for (const [k, v] of Object.entries(fields)) {
+      const key = BRAND_FIELDS[k][1];
+      if (key && v !== undefined) options[key] = v;
+    }
+    brands.push({ name, options, outputs: fields.outputs ?? [{ format: "json", options: {} }] });
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid chroma-ux config:\n${errors.map((e) => `  - ${e}`).join("\n")}`);
+  }
+  return { outDir: config.outDir, brands };
+}
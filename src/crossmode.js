@@ -0,0 +1,50 @@
+/* -----------------------------
+   Cross-mode hue parameters
+   (joint light/dark optimization: crossMode "shared" | "penalized")
+------------------------------ */
+export const CROSS_MODES = ["independent", "shared", "penalized"];
+
+// 모드 사이에서 공유하거나(shared) 차이에 패널티를 주는(penalized) 색상 파라미터
+export const SHARED_HUE_PARAMS = [
+  "seedHue",
+  "neutralHue",
+  "secondaryHue",
+  "accentHue",
+  "successHue",
+  "warningHue",
+  "dangerHue",
+  "infoHue",
+  "focusFrom",
+];
+
+// hue가 이만큼(도) 벌어지면 그 토큰의 일관성은 0
+export const CROSS_MODE_HUE_SPAN = 30;
+
+// 두 각도 사이의 최소 거리 (0–180)
+function hueDistance(a, b) {
+  const d = (((a - b) % 360) + 360) % 360;
+  return Math.min(d, 360 - d);
+}
+
+export function normalizeCrossMode(crossMode = "independent") {
+  if (!CROSS_MODES.includes(crossMode)) {
+    throw new Error(`Unknown crossMode: ${crossMode} (expected ${CROSS_MODES.join(" | ")})`);
+  }
+  return crossMode;
+}
+
+// shared: from의 hue 파라미터를 to에 복사 (나머지 파라미터는 to 그대로)
+export function shareHues(from, to) {
+  return { ...to, ...Object.fromEntries(SHARED_HUE_PARAMS.map((k) => [k, from[k]])) };
+}
+
+// 두 모드 hue 파라미터 차이의 합 (30°당 1, 포화하지 않아 멀리 벗어나도 되돌아올 기울기가 남음).
+// focusFrom은 다르면 1
+export function hueParamDivergence(a, b) {
+  return SHARED_HUE_PARAMS.reduce(
+    (sum, k) =>
+      sum +
+      (k === "focusFrom" ? Number(a[k] !== b[k]) : hueDistance(a[k], b[k]) / CROSS_MODE_HUE_SPAN),
+    0
+  );
+}
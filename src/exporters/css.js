@@ -0,0 +1,108 @@
+import { flattenTokens, kebabCase } from "./shared.js";
+
+/* -----------------------------
+   CSS custom properties
+------------------------------ */
+const DARK_SELECTORS = {
+  "data-attribute": '[data-theme="dark"]',
+  class: ".dark",
+};
+
+const STRATEGIES = ["data-attribute", "class", "media", "light-dark"];
+
+const P3_SUPPORTS = "@supports (color: color(display-p3 1 1 1))";
+
+export function cssVarName(prefix, path) {
+  return `--${prefix ? prefix + "-" : ""}${path.map(kebabCase).join("-")}`;
+}
+
+function declarations(tree, prefix, pick) {
+  return flattenTokens(tree).map((e) => `${cssVarName(prefix, e.path)}: ${pick(e.value)};`);
+}
+
+function lightDarkDeclarations(lightTree, darkTree, prefix, pick) {
+  const dark = new Map(flattenTokens(darkTree).map((e) => [e.path.join("."), e.value]));
+  return flattenTokens(lightTree).map((e) => {
+    const d = dark.get(e.path.join(".")) ?? e.value;
+    return `${cssVarName(prefix, e.path)}: light-dark(${pick(e.value)}, ${pick(d)});`;
+  });
+}
+
+function block(selector, lines, indent = "") {
+  const body = lines.map((l) => `${indent}  ${l}`).join("\n");
+  return `${indent}${selector} {\n${body}\n${indent}}`;
+}
+
+/**
+ * recommendTokensDual 결과를 CSS 변수로 내보냄. 중첩 토큰(buttonPrimary, semantic 등)은
+ * kebab-case 경로로 펼침 (예: --color-semantic-danger-subtle-bg).
+ *
+ * options:
+ * - prefix: 변수 접두사 (기본 "color", 빈 문자열이면 접두사 없음)
+ * - strategy: "data-attribute" (기본, :root + [data-theme="dark"])
+ *             | "class" (:root + .dark)
+ *             | "media" (@media (prefers-color-scheme: dark))
+ *             | "light-dark" (단일 :root 블록, light-dark())
+ * - rootSelector: 라이트(기본) 선택자 (기본 ":root")
+ * - darkSelector: data-attribute/class 전략의 다크 선택자 재정의
+ * - wide: 결과에 wide(P3) 토큰이 있으면 @supports 블록으로 함께 출력 (기본 true)
+ * - wideFormat: "p3" | "oklch" (기본 "p3")
+ */
+export function toCss(result, options = {}) {
+  const prefix = options.prefix ?? "color";
+  const strategy = options.strategy ?? "data-attribute";
+  const root = options.rootSelector ?? ":root";
+  const wideFormat = options.wideFormat ?? "p3";
+  const withWide = (options.wide ?? true) && !!result.light.wide && !!result.dark.wide;
+
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown CSS strategy: ${strategy}`);
+  }
+
+  const hex = (v) => v;
+  const wide = (v) => v[wideFormat];
+
+  if (strategy === "light-dark") {
+    const out = [
+      block(root, [
+        "color-scheme: light dark;",
+        ...lightDarkDeclarations(result.light.tokens, result.dark.tokens, prefix, hex),
+      ]),
+    ];
+    if (withWide) {
+      const lines = lightDarkDeclarations(result.light.wide, result.dark.wide, prefix, wide);
+      out.push(`${P3_SUPPORTS} {\n${block(root, lines, "  ")}\n}`);
+    }
+    return out.join("\n\n") + "\n";
+  }
+
+  const themeBlocks = (light, dark, indent) => {
+    if (strategy === "media") {
+      const inner = block(root, dark, indent + "  ");
+      return [
+        block(root, light, indent),
+        `${indent}@media (prefers-color-scheme: dark) {\n${inner}\n${indent}}`,
+      ];
+    }
+    const darkSelector = options.darkSelector ?? DARK_SELECTORS[strategy];
+    return [block(root, light, indent), block(darkSelector, dark, indent)];
+  };
+
+  const [lightBlock, darkBlock] = themeBlocks(
+    ["color-scheme: light;", ...declarations(result.light.tokens, prefix, hex)],
+    ["color-scheme: dark;", ...declarations(result.dark.tokens, prefix, hex)],
+    ""
+  );
+  const out = [`/* Light theme */\n${lightBlock}`, `/* Dark theme */\n${darkBlock}`];
+
+  if (withWide) {
+    const wideBlocks = themeBlocks(
+      declarations(result.light.wide, prefix, wide),
+      declarations(result.dark.wide, prefix, wide),
+      "  "
+    );
+    out.push(`${P3_SUPPORTS} {\n${wideBlocks.join("\n")}\n}`);
+  }
+
+  return out.join("\n\n") + "\n";
+}
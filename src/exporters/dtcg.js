@@ -0,0 +1,213 @@
+/* -----------------------------
+   W3C Design Tokens (DTCG) format
+------------------------------ */
+const EXTENSION = "com.chroma-ux";
+
+const DESCRIPTIONS = {
+  background: "페이지 배경",
+  surface: "카드·패널 등 1단계 표면",
+  surface2: "중첩 표면 (surface 위 2단계)",
+  level0: "elevation 0 (background)",
+  level1: "elevation 1",
+  level2: "elevation 2",
+  level3: "elevation 3",
+  level4: "elevation 4",
+  level5: "elevation 5",
+  overlay: "팝오버·메뉴 표면 (elevation 최상단)",
+  modalBackdrop: "모달 뒤 배경막 (반투명)",
+  shadowColor: "그림자 색 (투명도는 그림자 정의에서 적용)",
+  textPrimary: "본문 텍스트",
+  textSecondary: "보조 텍스트",
+  textTertiary: "캡션·힌트 텍스트 (large 기준)",
+  primary: "브랜드 Primary (고정)",
+  primaryText: "primary 위 텍스트",
+  secondary: "Secondary 채움",
+  secondaryText: "secondary 위 텍스트",
+  accent: "강조 색",
+  accentText: "accent 위 텍스트",
+  border: "입력·카드 테두리",
+  divider: "구분선",
+  focusRing: "포커스 링",
+  bg: "기본 배경",
+  text: "기본 텍스트",
+  hoverBg: "hover 배경",
+  hoverText: "hover 텍스트",
+  hoverBorder: "hover 테두리",
+  pressedBg: "pressed 배경",
+  pressedText: "pressed 텍스트",
+  pressedBorder: "pressed 테두리",
+  focusBg: "focus 배경",
+  focusText: "focus 텍스트",
+  focusBorder: "focus 테두리 (포커스 링)",
+  selectedBg: "selected 배경",
+  selectedText: "selected 텍스트",
+  selectedBorder: "selected 테두리",
+  loadingBg: "loading 배경",
+  loadingText: "loading 텍스트",
+  loadingBorder: "loading 테두리",
+  disabledBg: "disabled 배경",
+  disabledText: "disabled 텍스트 (large 기준)",
+  disabledBorder: "disabled 테두리",
+  base: "기본 채움",
+  onBaseText: "base 위 텍스트",
+  subtleBg: "약한 배경 (알림·배지)",
+  subtleText: "subtleBg 위 텍스트",
+  hover: "hover 채움",
+  pressed: "pressed 채움",
+};
+
+// 값이 같을 때만 참조로 내보냄. "*"는 같은 자리의 키로 치환.
+const ALIASES = [
+  ["elevation.level0", "background"],
+  ["buttonPrimary.bg", "primary"],
+  ["buttonPrimary.text", "primaryText"],
+  ["buttonSecondary.bg", "secondary"],
+  ["buttonSecondary.text", "secondaryText"],
+  ["buttonSecondary.disabledText", "buttonPrimary.disabledText"],
+  ["buttonDanger.bg", "semantic.danger.base"],
+  ["*.focusBorder", "focusRing"],
+  ["*.hoverBorder", "*.hoverBg"],
+  ["*.pressedBorder", "*.pressedBg"],
+  ["*.selectedBorder", "*.selectedBg"],
+  ["*.loadingBorder", "*.loadingBg"],
+  ["*.disabledBorder", "*.disabledBg"],
+  ["semantic.*.subtleText", "semantic.*.base"],
+];
+
+function aliasFor(path) {
+  for (const [from, to] of ALIASES) {
+    const f = from.split(".");
+    if (f.length !== path.length) continue;
+    let wild = null;
+    const match = f.every((seg, i) => {
+      if (seg === "*") {
+        wild = path[i];
+        return true;
+      }
+      return seg === path[i];
+    });
+    if (match) return to.replace("*", wild);
+  }
+  return null;
+}
+
+function getPath(tree, dotted) {
+  return dotted.split(".").reduce((node, k) => (node == null ? node : node[k]), tree);
+}
+
+function toDtcgTree(tokens, wide, root, path = []) {
+  const out = {};
+  for (const [k, v] of Object.entries(tokens)) {
+    const p = [...path, k];
+    if (v && typeof v === "object") {
+      out[k] = toDtcgTree(v, wide ? wide[k] : null, root, p);
+      continue;
+    }
+    if (typeof v !== "string" || !v.startsWith("#")) continue;
+
+    const alias = aliasFor(p);
+    const token = {
+      $value: alias && getPath(root, alias) === v ? `{${alias}}` : v,
+      $type: "color",
+    };
+    if (DESCRIPTIONS[k]) token.$description = DESCRIPTIONS[k];
+    if (wide && wide[k]) {
+      token.$extensions = { [EXTENSION]: { oklch: wide[k].oklch, p3: wide[k].p3 } };
+    }
+    out[k] = token;
+  }
+  return out;
+}
+
+function toDtcgMode(modeResult) {
+  const tree = toDtcgTree(modeResult.tokens, modeResult.wide ?? null, modeResult.tokens);
+  return {
+    $description: `chroma-ux ${modeResult.tokens.mode} theme`,
+    $extensions: { [EXTENSION]: { mode: modeResult.tokens.mode } },
+    ...tree,
+  };
+}
+
+/**
+ * recommendTokensDual 결과를 DTCG 형식으로 변환. 모드별로 한 파일씩
+ * { light, dark }를 반환하며, 파생 토큰 중 값이 같은 것은 참조
+ * (예: buttonPrimary.bg = "{primary}")로 내보냄.
+ */
+export function toDtcg(result) {
+  return { light: toDtcgMode(result.light), dark: toDtcgMode(result.dark) };
+}
+
+/* -----------------------------
+   DTCG import
+------------------------------ */
+function normalizeColorValue(value, where) {
+  const byte = (c) =>
+    Math.round(Math.min(1, Math.max(0, c)) * 255)
+      .toString(16)
+      .padStart(2, "0");
+  let hex = null;
+  if (typeof value === "string") hex = value;
+  else if (value && typeof value === "object") {
+    if (typeof value.hex === "string") hex = value.hex;
+    else if (value.colorSpace === "srgb" && Array.isArray(value.components)) {
+      hex = "#" + value.components.map(byte).join("");
+    }
+    // 반투명 색 (modalBackdrop 등)은 #RRGGBBAA로
+    if (hex && hex.length === 7 && typeof value.alpha === "number" && value.alpha < 1) {
+      hex += byte(value.alpha);
+    }
+  }
+  if (hex == null) throw new Error(`Unsupported color value at ${where}`);
+
+  let h = hex.trim().replace(/^#/, "");
+  if (/^[0-9A-Fa-f]{3}$/.test(h)) h = h.replace(/./g, (c) => c + c);
+  if (/^[0-9A-Fa-f]{8}$/.test(h) && /^[Ff]{2}$/.test(h.slice(6))) h = h.slice(0, 6);
+  if (!/^[0-9A-Fa-f]{6}([0-9A-Fa-f]{2})?$/.test(h)) {
+    throw new Error(`Invalid hex at ${where}: ${hex}`);
+  }
+  return ("#" + h).toUpperCase();
+}
+
+function resolveValue(doc, dotted, seen) {
+  if (seen.includes(dotted)) {
+    throw new Error(`Circular alias: ${[...seen, dotted].join(" -> ")}`);
+  }
+  const node = getPath(doc, dotted);
+  if (!node || typeof node !== "object" || !("$value" in node)) {
+    throw new Error(`Unresolved alias: {${dotted}}`);
+  }
+  const v = node.$value;
+  const m = typeof v === "string" && v.match(/^\{([^}]+)\}$/);
+  if (m) return resolveValue(doc, m[1], [...seen, dotted]);
+  return normalizeColorValue(v, dotted);
+}
+
+// inheritedType: 가장 가까운 상위 그룹의 $type (토큰의 $type이 없으면 이를 따름)
+function fromDtcgTree(doc, node, path, inheritedType) {
+  const out = {};
+  const groupType = node.$type ?? inheritedType;
+  for (const [k, v] of Object.entries(node)) {
+    if (k.startsWith("$") || !v || typeof v !== "object") continue;
+    const p = [...path, k];
+    if ("$value" in v) {
+      const type = v.$type ?? groupType;
+      if (type != null && type !== "color") continue;
+      out[k] = resolveValue(doc, p.join("."), []);
+    } else {
+      out[k] = fromDtcgTree(doc, v, p, groupType);
+    }
+  }
+  return out;
+}
+
+/**
+ * DTCG 문서(객체 또는 JSON 문자열)를 validateTokens가 받는 토큰 구조로 변환.
+ * 참조는 끝까지 풀어 hex로 채움. color가 아닌 토큰은 무시.
+ */
+export function fromDtcg(input) {
+  const doc = typeof input === "string" ? JSON.parse(input) : input;
+  if (!doc || typeof doc !== "object") throw new Error("DTCG document must be an object.");
+  const tokens = fromDtcgTree(doc, doc, []);
+  const mode = doc.$extensions?.[EXTENSION]?.mode;
+  return mode ? { mode, ...tokens } : tokens;
+}
@@ -0,0 +1,44 @@
+import { toJson } from "./json.js";
+import { toCss } from "./css.js";
+import { toDtcg } from "./dtcg.js";
+import { toTailwind } from "./tailwind.js";
+import { toAndroid, toIos, toFlutter, toCompose } from "./native.js";
+
+/* -----------------------------
+   Format registry (CLI / config)
+   형식 이름 -> { [기본 파일 이름]: 내용 }
+------------------------------ */
+const FORMATS = {
+  json: (r) => ({ "tokens.json": toJson(r) + "\n" }),
+  css: (r, o) => ({ "tokens.css": toCss(r, o) }),
+  dtcg: (r) => {
+    const { light, dark } = toDtcg(r);
+    return {
+      "tokens.light.json": JSON.stringify(light, null, 2) + "\n",
+      "tokens.dark.json": JSON.stringify(dark, null, 2) + "\n",
+    };
+  },
+  tailwind: (r, o) => {
+    const { preset, css } = toTailwind(r, { ...o, version: 3 });
+    return { "chroma-ux.preset.cjs": preset, "tokens.css": css };
+  },
+  tailwind4: (r, o) => ({ "theme.css": toTailwind(r, { ...o, version: 4 }).css }),
+  android: (r, o) => toAndroid(r, o),
+  ios: (r, o) => toIos(r, { colorSpace: r.meta.gamut === "p3" ? "display-p3" : "srgb", ...o }),
+  flutter: (r, o) => toFlutter(r, o),
+  compose: (r, o) => toCompose(r, o),
+};
+
+export const EXPORT_FORMATS = Object.keys(FORMATS);
+
+/**
+ * recommendTokensDual 결과를 지정한 형식의 파일 묶음으로 변환.
+ * options는 해당 exporter에 그대로 전달 (prefix, strategy 등).
+ */
+export function exportFiles(result, format, options = {}) {
+  const render = FORMATS[format];
+  if (!render) {
+    throw new Error(`Unknown format: ${format} (expected ${EXPORT_FORMATS.join(" | ")})`);
+  }
+  return render(result, options);
+}
@@ -0,0 +1,255 @@
+/* -----------------------------
+   Static HTML report
+   (색 계산은 index.js의 renderReport가 미리 해서 view로 넘김)
+------------------------------ */
+const CVD_LABELS = {
+  none: "원본",
+  protan: "Protan",
+  deutan: "Deutan",
+  tritan: "Tritan",
+  achromatopsia: "Achromat",
+  blueConeMonochromacy: "BCM",
+};
+
+// "deutan:0.6" -> "Deutan 60%"
+function cvdLabel(mode) {
+  const [type, severity] = mode.split(":");
+  const label = CVD_LABELS[type] ?? type;
+  return severity === undefined ? label : `${label} ${Math.round(Number(severity) * 100)}%`;
+}
+
+const STYLE = `
+  * { box-sizing: border-box; }
+  body { margin: 0; padding: 24px; font: 14px/1.5 system-ui, -apple-system, "Segoe UI", sans-serif;
+    color: #1f2328; background: #f6f8fa; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  h2 { font-size: 17px; margin: 32px 0 12px; }
+  .meta { color: #59636e; margin: 0 0 8px; }
+  .meta code { background: #eaeef2; padding: 1px 5px; border-radius: 4px; }
+  .themes { display: grid; grid-template-columns: repeat(auto-fit, minmax(360px, 1fr)); gap: 16px; }
+  .theme { border-radius: 12px; padding: 20px; border: 1px solid #d0d7de; }
+  .theme h3 { margin: 0 0 16px; font-size: 15px; }
+  table { border-collapse: collapse; width: 100%; background: #fff; border: 1px solid #d0d7de; }
+  th, td { padding: 6px 8px; border-bottom: 1px solid #eaeef2; text-align: left; vertical-align: middle; }
+  th { background: #f6f8fa; font-weight: 600; font-size: 12px; white-space: nowrap; }
+  th.group { text-align: center; border-left: 2px solid #d0d7de; }
+  td.first { border-left: 2px solid #d0d7de; }
+  td.token { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 12px; }
+  .chip { display: flex; align-items: center; gap: 6px; font: 11px ui-monospace, Menlo, monospace; }
+  .chip i { display: inline-block; width: 28px; height: 20px; border-radius: 4px;
+    border: 1px solid rgba(0, 0, 0, 0.15); }
+  .row { display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 12px; }
+  .btn { padding: 8px 14px; border-radius: 8px; font-weight: 600; font-size: 13px; border: 0; }
+  .btn small { display: block; font-weight: 400; font-size: 10px; opacity: 0.8; }
+  .level { padding: 8px 10px; border-radius: 8px; font-size: 12px; }
+  .level small { display: block; font: 10px ui-monospace, Menlo, monospace; opacity: 0.8; }
+  .alert { padding: 10px 12px; border-radius: 8px; border: 1px solid; margin-bottom: 8px; }
+  .alert b { text-transform: capitalize; }
+  .badge { display: inline-block; padding: 0 6px; border-radius: 10px; font-size: 11px;
+    font-weight: 600; margin-left: 4px; }
+  .pass { background: #dafbe1; color: #116329; }
+  .fail { background: #ffebe9; color: #a40e26; }
+  .num { font-family: ui-monospace, Menlo, monospace; font-size: 12px; white-space: nowrap; }
+`;
+
+function escapeHtml(s) {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function chip(hex) {
+  return `<span class="chip"><i style="background:${hex}"></i>${hex}</span>`;
+}
+
+function swatchTable(view) {
+  const modes = view.themes.map((t) => t.name);
+  const head1 = modes
+    .map((m) => `<th class="group" colspan="${view.cvdModes.length}">${m}</th>`)
+    .join("");
+  const head2 = modes
+    .map(() => view.cvdModes.map((c) => `<th>${cvdLabel(c)}</th>`).join(""))
+    .join("");
+
+  const index = view.themes.map((t) => new Map(t.swatches.map((s) => [s.path, s])));
+  const paths = [...new Set(view.themes.flatMap((t) => t.swatches.map((s) => s.path)))];
+  const rows = paths.map((path) => {
+    const cells = index
+      .map((byPath) =>
+        view.cvdModes
+          .map((c, j) => {
+            const sw = byPath.get(path);
+            return `<td${j === 0 ? ' class="first"' : ""}>${sw ? chip(sw.cvd[c]) : "–"}</td>`;
+          })
+          .join("")
+      )
+      .join("");
+    return `<tr><td class="token">${escapeHtml(path)}</td>${cells}</tr>`;
+  });
+
+  return `<table>
+<thead><tr><th rowspan="2">토큰</th>${head1}</tr><tr>${head2}</tr></thead>
+<tbody>
+${rows.join("\n")}
+</tbody>
+</table>`;
+}
+
+const BUTTON_STATES = [
+  ["기본", "bg", "text", "border"],
+  ["hover", "hoverBg", "hoverText", "hoverBorder"],
+  ["pressed", "pressedBg", "pressedText", "pressedBorder"],
+  ["focus", "focusBg", "focusText", "focusBorder"],
+  ["selected", "selectedBg", "selectedText", "selectedBorder"],
+  ["loading", "loadingBg", "loadingText", "loadingBorder"],
+  ["disabled", "disabledBg", "disabledText", "disabledBorder"],
+];
+
+function buttons(tokens) {
+  return ["buttonPrimary", "buttonSecondary", "buttonTertiary", "buttonOutline", "buttonDanger"]
+    .filter((name) => tokens[name])
+    .map((name) => {
+      const b = tokens[name];
+      const items = BUTTON_STATES.filter(([, bg]) => b[bg]).map(([label, bg, fg, edge]) => {
+        const color = b[fg] ?? b.text;
+        const border = b[edge] ? `;border:2px solid ${b[edge]}` : "";
+        return (
+          `<button class="btn" style="background:${b[bg]};color:${color}${border}">${name}` +
+          `<small>${label} · ${b[bg]}</small></button>`
+        );
+      });
+      return `<div class="row">${items.join("")}</div>`;
+    })
+    .join("\n");
+}
+
+// level0~overlay 단계 (반투명 backdrop과 shadowColor는 스와치 표에서 확인)
+function elevation(tokens) {
+  if (!tokens.elevation) return "";
+  const items = Object.entries(tokens.elevation)
+    .filter(([key]) => key !== "modalBackdrop" && key !== "shadowColor")
+    .map(
+      ([key, hex]) =>
+        `<div class="level" style="background:${hex};color:${tokens.textPrimary}">${key}` +
+        `<small>${hex}</small></div>`
+    );
+  return `<div class="row">${items.join("")}</div>`;
+}
+
+function alerts(tokens) {
+  return Object.entries(tokens.semantic)
+    .map(
+      ([role, s]) =>
+        `<div class="alert" style="background:${s.subtleBg};color:${s.subtleText};` +
+        `border-color:${s.border}"><b>${escapeHtml(role)}</b> — subtleText ${s.subtleText}` +
+        ` / subtleBg ${s.subtleBg}</div>`
+    )
+    .join("\n");
+}
+
+function themePanel(theme) {
+  const t = theme.tokens;
+  const card = `background:${t.surface};border:1px solid ${t.border};border-radius:10px`;
+  return `<section class="theme" style="background:${t.background};color:${t.textPrimary}">
+<h3>${theme.name}</h3>
+<div style="${card};padding:16px;margin-bottom:16px">
+<p style="margin:0 0 4px">textPrimary · surface</p>
+<p style="margin:0 0 4px;color:${t.textSecondary}">textSecondary</p>
+<p style="margin:0;color:${t.textTertiary}">textTertiary</p>
+</div>
+${elevation(t)}
+${buttons(t)}
+${alerts(t)}
+</section>`;
+}
+
+function badge(pass) {
+  return `<span class="badge ${pass ? "pass" : "fail"}">${pass ? "PASS" : "FAIL"}</span>`;
+}
+
+function matrixTable(view) {
+  const modes = view.themes.map((t) => t.name);
+  const head1 = modes
+    .map((m) => `<th class="group" colspan="${view.cvdModes.length}">${m}</th>`)
+    .join("");
+  const head2 = modes
+    .map(() => view.cvdModes.map((c) => `<th>${cvdLabel(c)}</th>`).join(""))
+    .join("");
+
+  const index = view.themes.map((t) => new Map(t.checks.map((c) => [`${c.pair}|${c.mode}`, c])));
+  const pairs = [...new Set(view.themes.flatMap((t) => t.checks.map((c) => c.pair)))];
+  const rows = pairs.map((pair) => {
+    const cells = index
+      .map((byKey) =>
+        view.cvdModes
+          .map((cvd, j) => {
+            const c = byKey.get(`${pair}|${cvd}`);
+            const cls = j === 0 ? ' class="num first"' : ' class="num"';
+            if (!c) return `<td${cls}>–</td>`;
+            const value =
+              view.model === "apca" ? `Lc ${Math.abs(c.lc).toFixed(1)}` : c.ratio.toFixed(2);
+            return `<td${cls}>${value}${badge(c.pass)}</td>`;
+          })
+          .join("")
+      )
+      .join("");
+    return `<tr><td class="token">${escapeHtml(pair)}</td>${cells}</tr>`;
+  });
+
+  return `<table>
+<thead><tr><th rowspan="2">쌍</th>${head1}</tr><tr>${head2}</tr></thead>
+<tbody>
+${rows.join("\n")}
+</tbody>
+</table>`;
+}
+
+/*
+ * view: {
+ *   title, meta,
+ *   model: "wcag2" | "apca", target, cvdModes,
+ *   themes: [{ name, tokens, pass, swatches: [{ path, cvd: { [mode]: hex } }], checks }]
+ * }
+ */
+export function toHtml(view) {
+  const meta = view.meta ?? {};
+  const summary = view.themes.map((t) => `${t.name} ${badge(t.pass)}`).join(" &nbsp; ");
+  const facts = [
+    meta.primaryHex && `primary <code>${escapeHtml(meta.primaryHex)}</code>`,
+    meta.primaryDarkHex &&
+      meta.primaryDarkHex !== meta.primaryHex &&
+      `dark primary <code>${escapeHtml(meta.primaryDarkHex)}</code>`,
+    `target <code>${escapeHtml(view.target)}</code>`,
+    `model <code>${escapeHtml(view.model)}</code>`,
+    meta.randomSeed !== undefined && `seed <code>${escapeHtml(meta.randomSeed)}</code>`,
+  ].filter(Boolean);
+
+  return `<!doctype html>
+<html lang="ko">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(view.title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(view.title)}</h1>
+<p class="meta">${facts.join(" · ")}</p>
+<p class="meta">${summary}</p>
+
+<h2>미리보기</h2>
+<div class="themes">
+${view.themes.map(themePanel).join("\n")}
+</div>
+
+<h2>대비 검사</h2>
+${matrixTable(view)}
+
+<h2>스와치 (색각 이상 시뮬레이션)</h2>
+${swatchTable(view)}
+</body>
+</html>
+`;
+}
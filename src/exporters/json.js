@@ -0,0 +1,36 @@
+/* -----------------------------
+   JSON
+------------------------------ */
+function modeSummary(m) {
+  return {
+    score: m.score,
+    contrastPass: m.report.contrast.passAll,
+    statePass: m.report.states.passAll,
+    worstContrast: m.report.contrast.worstRatio,
+    worstState: m.report.states.worstRatio,
+    worstContrastLc: m.report.contrast.worstLc,
+    worstStateLc: m.report.states.worstLc,
+    gamutMapped: m.report.gamut.mapped,
+    tokens: m.tokens,
+    palette: m.palette,
+    paletteAnchors: m.paletteAnchors,
+    wide: m.wide,
+    front: m.front?.map((f) => ({
+      score: f.score,
+      feasible: f.feasible,
+      violation: f.violation,
+      objectives: f.objectives,
+      tokens: f.tokens,
+      wide: f.wide,
+    })),
+  };
+}
+
+// 이미 계산된 recommendTokensDual 결과를 recommendTokensDualAsJson과 같은 형태로 직렬화
+export function toJson(res) {
+  return JSON.stringify(
+    { meta: res.meta, light: modeSummary(res.light), dark: modeSummary(res.dark) },
+    null,
+    2
+  );
+}
@@ -0,0 +1,49 @@
+/* -----------------------------
+   Contrast matrix CSV
+------------------------------ */
+const PASS_KEYS = ["aaNormal", "aaLarge", "aaaNormal", "aaaLarge", "ui"];
+
+function csvCell(v) {
+  const s = String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * contrastMatrix 결과(또는 그 배열, 예: 라이트/다크)를 CSV로 변환.
+ * 한 행 = 한 쌍. CVD 모드마다 <mode>_ratio, <mode>_lc, <mode>_level 열이 붙음.
+ */
+export function contrastMatrixToCsv(matrix) {
+  const list = Array.isArray(matrix) ? matrix : [matrix];
+  const cvdModes = [...new Set(list.flatMap((m) => m.cvdModes))];
+  const header = [
+    "theme",
+    "fg",
+    "bg",
+    "fg_hex",
+    "bg_hex",
+    "ratio",
+    "lc",
+    "level",
+    ...PASS_KEYS,
+    ...cvdModes.flatMap((m) => [`${m}_ratio`, `${m}_lc`, `${m}_level`]),
+  ];
+  const rows = list.flatMap((m) =>
+    m.pairs.map((p) => [
+      m.mode ?? "",
+      p.fg,
+      p.bg,
+      p.fgHex,
+      p.bgHex,
+      p.ratio.toFixed(2),
+      p.lc.toFixed(1),
+      p.level,
+      ...PASS_KEYS.map((k) => p.pass[k]),
+      ...cvdModes.flatMap((c) =>
+        p.cvd[c]
+          ? [p.cvd[c].ratio.toFixed(2), p.cvd[c].lc.toFixed(1), p.cvd[c].level]
+          : ["", "", ""]
+      ),
+    ])
+  );
+  return [header, ...rows].map((r) => r.map(csvCell).join(",")).join("\n") + "\n";
+}
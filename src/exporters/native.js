@@ -0,0 +1,283 @@
+import { camelCase, flattenTokens, rolePath, snakeCase, splitAlpha } from "./shared.js";
+
+/* -----------------------------
+   Native platforms
+   Android XML / iOS asset catalog / Flutter / Jetpack Compose
+   모두 { [파일 경로]: 내용 } 형태로 반환
+------------------------------ */
+
+// Material ColorScheme 역할 -> 토큰 경로
+const MATERIAL_ROLES = [
+  ["primary", "primary"],
+  ["onPrimary", "primaryText"],
+  ["secondary", "secondary"],
+  ["onSecondary", "secondaryText"],
+  ["tertiary", "accent"],
+  ["onTertiary", "accentText"],
+  ["error", "semantic.danger.base"],
+  ["onError", "semantic.danger.onBaseText"],
+  ["surface", "surface"],
+  ["onSurface", "textPrimary"],
+  ["surfaceContainerHighest", "surface2"],
+  ["onSurfaceVariant", "textSecondary"],
+  ["outline", "border"],
+  ["outlineVariant", "divider"],
+  ["background", "background"],
+  ["onBackground", "textPrimary"],
+];
+
+// schema: "material3" 결과면 생성된 M3 역할을 그대로 사용
+function materialRoles(tokens, unsupported) {
+  const roles = tokens.material3
+    ? Object.keys(tokens.material3).map((r) => [r, `material3.${r}`])
+    : MATERIAL_ROLES;
+  return roles.filter(([role]) => !unsupported.includes(role));
+}
+
+// Flutter 3.22+에서 deprecated된 역할과 Compose에 없는 역할
+const FLUTTER_UNSUPPORTED = ["background", "onBackground", "surfaceVariant"];
+const COMPOSE_UNSUPPORTED = ["shadow"];
+
+// Flutter ColorScheme에서 이름이 다른 역할 (Compose는 M3 이름 그대로)
+const FLUTTER_ROLE_NAMES = { inverseOnSurface: "onInverseSurface" };
+
+function pairs(result) {
+  const dark = new Map(flattenTokens(result.dark.tokens).map((e) => [e.path.join("."), e.value]));
+  return flattenTokens(result.light.tokens).map((e) => ({
+    path: e.path,
+    light: e.value,
+    dark: dark.get(e.path.join(".")) ?? e.value,
+  }));
+}
+
+function getHex(tokens, dotted) {
+  return dotted.split(".").reduce((node, k) => node[k], tokens);
+}
+
+function alphaByte(alpha) {
+  return Math.round(alpha * 255)
+    .toString(16)
+    .padStart(2, "0")
+    .toUpperCase();
+}
+
+// "#RRGGBB" / "#RRGGBBAA" -> "0xAARRGGBB"
+function argb(value) {
+  const { hex, alpha } = splitAlpha(value);
+  return `0x${alphaByte(alpha)}${hex.replace(/^#/, "").toUpperCase()}`;
+}
+
+// Android 색 리소스는 #AARRGGBB 순서
+function androidColor(value) {
+  const { hex, alpha } = splitAlpha(value);
+  return alpha < 1 ? `#${alphaByte(alpha)}${hex.replace(/^#/, "")}` : hex;
+}
+
+function pascalCase(name) {
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+/* Android: values/colors.xml + values-night/colors.xml */
+export function toAndroid(result, options = {}) {
+  const prefix = options.prefix ?? "ux";
+  const name = (path) => snakeCase([prefix, ...rolePath(path)].filter(Boolean));
+
+  const xml = (tokens) => {
+    const lines = flattenTokens(tokens).map(
+      (e) => `    <color name="${name(e.path)}">${androidColor(e.value)}</color>`
+    );
+    return `<?xml version="1.0" encoding="utf-8"?>\n<resources>\n${lines.join(
+      "\n"
+    )}\n</resources>\n`;
+  };
+
+  return {
+    "values/colors.xml": xml(result.light.tokens),
+    "values-night/colors.xml": xml(result.dark.tokens),
+  };
+}
+
+/* iOS: <catalog>.xcassets/<name>.colorset/Contents.json (Any / Dark) */
+function p3Components(p3) {
+  const [rgb, a = "1"] = p3
+    .replace(/^color\(display-p3\s+/, "")
+    .replace(/\)$/, "")
+    .split("/");
+  const [r, g, b] = rgb.trim().split(/\s+/).map(Number);
+  return {
+    red: r.toFixed(3),
+    green: g.toFixed(3),
+    blue: b.toFixed(3),
+    alpha: Number(a).toFixed(3),
+  };
+}
+
+function srgbComponents(value) {
+  const { hex, alpha } = splitAlpha(value);
+  const h = hex.replace(/^#/, "").toUpperCase();
+  return {
+    red: `0x${h.slice(0, 2)}`,
+    green: `0x${h.slice(2, 4)}`,
+    blue: `0x${h.slice(4, 6)}`,
+    alpha: alpha.toFixed(3),
+  };
+}
+
+export function toIos(result, options = {}) {
+  const catalog = options.catalog ?? "Colors";
+  const useP3 = options.colorSpace === "display-p3" && !!result.light.wide && !!result.dark.wide;
+  const wideLight = useP3 ? flattenTokens(result.light.wide) : [];
+  const wideDark = useP3 ? flattenTokens(result.dark.wide) : [];
+  const wideOf = (list, path) => list.find((e) => e.path.join(".") === path.join("."));
+
+  const color = (hex, wide) =>
+    useP3 && wide
+      ? { "color-space": "display-p3", components: p3Components(wide.value.p3) }
+      : { "color-space": "srgb", components: srgbComponents(hex) };
+
+  const info = { author: "xcode", version: 1 };
+  const files = {
+    [`${catalog}.xcassets/Contents.json`]: JSON.stringify({ info }, null, 2) + "\n",
+  };
+
+  for (const { path, light, dark } of pairs(result)) {
+    const contents = {
+      colors: [
+        { color: color(light, wideOf(wideLight, path)), idiom: "universal" },
+        {
+          appearances: [{ appearance: "luminosity", value: "dark" }],
+          color: color(dark, wideOf(wideDark, path)),
+          idiom: "universal",
+        },
+      ],
+      info,
+    };
+    const file = `${catalog}.xcassets/${camelCase(rolePath(path))}.colorset/Contents.json`;
+    files[file] = JSON.stringify(contents, null, 2) + "\n";
+  }
+  return files;
+}
+
+/* Flutter: ThemeExtension + ColorScheme (Dart) */
+export function toFlutter(result, options = {}) {
+  const cls = options.className ?? "ChromaUxColors";
+  const file = options.fileName ?? "chroma_ux_colors.dart";
+  const fields = pairs(result).map((p) => ({ ...p, name: camelCase(rolePath(p.path)) }));
+
+  const instance = (mode) =>
+    [
+      `  static const ${mode} = ${cls}(`,
+      ...fields.map((f) => `    ${f.name}: Color(${argb(f[mode])}),`),
+      "  );",
+    ].join("\n");
+
+  const scheme = (mode) => {
+    const tokens = result[mode].tokens;
+    return [
+      `const ${mode}ColorScheme = ColorScheme(`,
+      `  brightness: Brightness.${mode},`,
+      ...materialRoles(tokens, FLUTTER_UNSUPPORTED).map(
+        ([role, path]) =>
+          `  ${FLUTTER_ROLE_NAMES[role] ?? role}: Color(${argb(getHex(tokens, path))}),`
+      ),
+      ");",
+    ].join("\n");
+  };
+
+  const src = [
+    "// Generated by chroma-ux. Do not edit.",
+    "import 'package:flutter/material.dart';",
+    "",
+    "@immutable",
+    `class ${cls} extends ThemeExtension<${cls}> {`,
+    `  const ${cls}({`,
+    ...fields.map((f) => `    required this.${f.name},`),
+    "  });",
+    "",
+    ...fields.map((f) => `  final Color ${f.name};`),
+    "",
+    instance("light"),
+    "",
+    instance("dark"),
+    "",
+    "  @override",
+    `  ${cls} copyWith({`,
+    ...fields.map((f) => `    Color? ${f.name},`),
+    "  }) {",
+    `    return ${cls}(`,
+    ...fields.map((f) => `      ${f.name}: ${f.name} ?? this.${f.name},`),
+    "    );",
+    "  }",
+    "",
+    "  @override",
+    `  ${cls} lerp(ThemeExtension<${cls}>? other, double t) {`,
+    `    if (other is! ${cls}) return this;`,
+    `    return ${cls}(`,
+    ...fields.map((f) => `      ${f.name}: Color.lerp(${f.name}, other.${f.name}, t)!,`),
+    "    );",
+    "  }",
+    "}",
+    "",
+    scheme("light"),
+    "",
+    scheme("dark"),
+    "",
+  ].join("\n");
+
+  return { [file]: src };
+}
+
+/* Jetpack Compose: lightColorScheme / darkColorScheme + 확장 색상 (Kotlin) */
+export function toCompose(result, options = {}) {
+  const pkg = options.packageName ?? "com.chromaux.theme";
+  const cls = options.className ?? "ChromaUxColors";
+  const file = options.fileName ?? `${cls}.kt`;
+  const fields = pairs(result).map((p) => ({ ...p, name: camelCase(rolePath(p.path)) }));
+
+  const instance = (mode) =>
+    [
+      `val ${pascalCase(mode)}${cls} = ${cls}(`,
+      ...fields.map((f) => `    ${f.name} = Color(${argb(f[mode])}),`),
+      ")",
+    ].join("\n");
+
+  const scheme = (mode) => {
+    const tokens = result[mode].tokens;
+    return [
+      `val ${pascalCase(mode)}ColorScheme = ${mode}ColorScheme(`,
+      ...materialRoles(tokens, COMPOSE_UNSUPPORTED).map(
+        ([role, path]) => `    ${role} = Color(${argb(getHex(tokens, path))}),`
+      ),
+      ")",
+    ].join("\n");
+  };
+
+  const src = [
+    "// Generated by chroma-ux. Do not edit.",
+    `package ${pkg}`,
+    "",
+    "import androidx.compose.material3.darkColorScheme",
+    "import androidx.compose.material3.lightColorScheme",
+    "import androidx.compose.runtime.Immutable",
+    "import androidx.compose.runtime.staticCompositionLocalOf",
+    "import androidx.compose.ui.graphics.Color",
+    "",
+    "@Immutable",
+    `data class ${cls}(`,
+    ...fields.map((f) => `    val ${f.name}: Color,`),
+    ")",
+    "",
+    instance("light"),
+    "",
+    instance("dark"),
+    "",
+    scheme("light"),
+    "",
+    scheme("dark"),
+    "",
+    `val Local${cls} = staticCompositionLocalOf { Light${cls} }`,
+    "",
+  ].join("\n");
+
+  return { [file]: src };
+}
@@ -0,0 +1,45 @@
+/* -----------------------------
+   Shared helpers for exporters
+------------------------------ */
+export function kebabCase(key) {
+  return key.replace(/([A-Z])/g, "-$1").toLowerCase();
+}
+
+export function camelCase(parts) {
+  return parts.map((p, i) => (i === 0 ? p : p.charAt(0).toUpperCase() + p.slice(1))).join("");
+}
+
+export function snakeCase(parts) {
+  return parts.map((p) => kebabCase(p).replace(/-/g, "_")).join("_");
+}
+
+// 플랫폼 이름용 경로: semantic 그룹은 생략 (semantic.danger.subtleBg -> danger.subtleBg)
+export function rolePath(path) {
+  return path[0] === "semantic" ? path.slice(1) : path;
+}
+
+// "#RRGGBBAA" -> { hex: "#RRGGBB", alpha: 0~1 }. 6자리 hex는 alpha 1
+export function splitAlpha(value) {
+  const h = value.replace(/^#/, "");
+  if (h.length !== 8) return { hex: value, alpha: 1 };
+  return { hex: `#${h.slice(0, 6)}`, alpha: parseInt(h.slice(6), 16) / 255 };
+}
+
+function isLeaf(v) {
+  if (typeof v === "string") return v.startsWith("#");
+  return !!v && typeof v === "object" && typeof v.hex === "string";
+}
+
+/*
+ * 중첩 토큰 트리를 [{ path, value }]로 펼침. 값이 hex 문자열이거나
+ * { hex, ... } 객체(wide 토큰)인 항목만 포함 (mode 등은 제외).
+ */
+export function flattenTokens(tokens, path = []) {
+  const out = [];
+  for (const [k, v] of Object.entries(tokens)) {
+    const p = [...path, k];
+    if (isLeaf(v)) out.push({ path: p, value: v });
+    else if (v && typeof v === "object") out.push(...flattenTokens(v, p));
+  }
+  return out;
+}
@@ -0,0 +1,83 @@
+import { toCss, cssVarName } from "./css.js";
+import { flattenTokens, kebabCase, rolePath } from "./shared.js";
+
+/* -----------------------------
+   Tailwind CSS preset (v3 / v4)
+------------------------------ */
+const DARK_MODE_V3 = {
+  "data-attribute": (sel) => ["selector", sel ?? '[data-theme="dark"]'],
+  class: (sel) => (sel ? ["selector", sel] : "class"),
+  media: () => "media",
+  "light-dark": () => "media",
+};
+
+const DARK_VARIANT_V4 = {
+  "data-attribute": '[data-theme="dark"]',
+  class: ".dark",
+};
+
+function jsLiteral(v) {
+  if (Array.isArray(v)) return `[${v.map(jsLiteral).join(", ")}]`;
+  return v.includes('"') ? `'${v}'` : `"${v}"`;
+}
+
+// semantic.danger.subtleBg -> danger-subtle-bg
+export function tailwindColorName(path) {
+  return rolePath(path).map(kebabCase).join("-");
+}
+
+/**
+ * recommendTokensDual 결과를 Tailwind 설정으로 변환. 색상은 toCss가 만드는
+ * CSS 변수를 참조하므로 팔레트를 모드별로 중복하지 않고 dark: 전환이 동작함.
+ *
+ * options:
+ * - version: 3 (theme.extend.colors 프리셋 JS + CSS 변수) | 4 (@theme CSS) (기본 3)
+ * - prefix: CSS 변수 접두사 (기본 "ux"; v4의 --color-* 테마 변수와 겹치지 않게)
+ * - strategy, rootSelector, darkSelector: toCss와 동일
+ *
+ * 반환: v3 → { preset, css }, v4 → { css }
+ */
+export function toTailwind(result, options = {}) {
+  const version = options.version ?? 3;
+  const prefix = options.prefix ?? "ux";
+  const strategy = options.strategy ?? "data-attribute";
+  const css = toCss(result, { ...options, prefix, strategy });
+  const entries = flattenTokens(result.light.tokens);
+
+  if (version === 3) {
+    const colors = entries
+      .map((e) => `        "${tailwindColorName(e.path)}": "var(${cssVarName(prefix, e.path)})",`)
+      .join("\n");
+    const darkMode = DARK_MODE_V3[strategy](options.darkSelector);
+    const preset = [
+      "/** @type {import('tailwindcss').Config} */",
+      "module.exports = {",
+      `  darkMode: ${jsLiteral(darkMode)},`,
+      "  theme: {",
+      "    extend: {",
+      "      colors: {",
+      colors,
+      "      },",
+      "    },",
+      "  },",
+      "};",
+      "",
+    ].join("\n");
+    return { preset, css };
+  }
+
+  if (version === 4) {
+    const out = [];
+    const darkSelector = options.darkSelector ?? DARK_VARIANT_V4[strategy];
+    if (darkSelector) {
+      out.push(`@custom-variant dark (&:where(${darkSelector}, ${darkSelector} *));`);
+    }
+    const theme = entries.map(
+      (e) => `  --color-${tailwindColorName(e.path)}: var(${cssVarName(prefix, e.path)});`
+    );
+    out.push(`@theme inline {\n${theme.join("\n")}\n}`);
+    return { css: `${out.join("\n\n")}\n\n${css}` };
+  }
+
+  throw new Error(`Unsupported Tailwind version: ${version}`);
+}
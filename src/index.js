@@ -1,18 +1,45 @@
 /**
  * ux-color-engine (Primary Fixed + Light/Dark + Extended UI Tokens)
  * - OKLab/OKLCH internal color space
- * - WCAG contrast ratio (AA/AAA)
- * - Basic CVD simulation (approx matrices)
- * - Simulated annealing optimization
+ * - sRGB / Display-P3 output (CSS Color 4 gamut mapping, sRGB hex fallback)
+ * - WCAG contrast ratio (AA/AAA) / APCA Lc (WCAG 3 draft)
+ * - CVD simulation (Machado et al. 2009, severity 0–1) + monochromacy
+ * - Color difference: ΔE OK / CIEDE2000 / CAM16-UCS, separation in JND units
+ * - Simulated annealing optimization (optional Pareto front across objectives)
  *
  * Outputs:
- * - Light/Dark token sets simultaneously
+ * - Light/Dark token sets simultaneously (optionally jointly optimized with shared hues)
  * - Primary fixed (optionally separate per mode)
- * - Expanded tokens: borders/dividers/focus ring + button/semantic states
+ * - Expanded tokens: borders/dividers/focus ring + button variants/states + semantic states
+ * - Tonal palettes (50–950) per role, primary anchored on a step
+ * - Ranked candidate themes from independent chains, deduped by token distance
  *
  * Zero dependencies.
  */
 
+import { DEFAULT_WEIGHTS } from "./weights.js";
+import { toJson } from "./exporters/json.js";
+import { toHtml } from "./exporters/html.js";
+import { PARETO_OBJECTIVES, paretoInsert } from "./pareto.js";
+import {
+  CROSS_MODES,
+  CROSS_MODE_HUE_SPAN,
+  SHARED_HUE_PARAMS,
+  hueParamDivergence,
+  normalizeCrossMode,
+  shareHues,
+} from "./crossmode.js";
+import { flattenTokens, splitAlpha } from "./exporters/shared.js";
+
+export { toJson, PARETO_OBJECTIVES, CROSS_MODES };
+export { toCss } from "./exporters/css.js";
+export { toDtcg, fromDtcg } from "./exporters/dtcg.js";
+export { toTailwind } from "./exporters/tailwind.js";
+export { toAndroid, toIos, toFlutter, toCompose } from "./exporters/native.js";
+export { EXPORT_FORMATS, exportFiles } from "./exporters/formats.js";
+export { contrastMatrixToCsv } from "./exporters/matrix.js";
+export { validateConfig } from "./config.js";
+
 /* -----------------------------
    Deterministic RNG (xorshift)
 ------------------------------ */
@@ -171,6 +198,196 @@ export function oklchToHex(lch) {
   return { hex: rgbToHex(rgb), inGamut };
 }
 
+/* -----------------------------
+   Display-P3
+   linear sRGB <-> XYZ (D65) <-> linear P3
+------------------------------ */
+const LINEAR_SRGB_TO_XYZ = [
+  [0.41239079926595934, 0.357584339383878, 0.1804807884018343],
+  [0.21263900587151027, 0.715168678767756, 0.07219231536073371],
+  [0.01933081871559182, 0.11919477979462598, 0.9505321522496607],
+];
+const XYZ_TO_LINEAR_SRGB = [
+  [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+  [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+  [0.05563007969699366, -0.20397695888897652, 1.0569715142428786],
+];
+const LINEAR_P3_TO_XYZ = [
+  [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+  [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+  [0.0, 0.04511338185890264, 1.043944368900976],
+];
+const XYZ_TO_LINEAR_P3 = [
+  [2.493496911941425, -0.9313836179191239, -0.40271078445071684],
+  [-0.8294889695615747, 1.7626640603183463, 0.023624685841943577],
+  [0.03584583024378447, -0.07617238926804182, 0.9568845240076872],
+];
+
+function mul3(m, v) {
+  return {
+    r: m[0][0] * v.r + m[0][1] * v.g + m[0][2] * v.b,
+    g: m[1][0] * v.r + m[1][1] * v.g + m[1][2] * v.b,
+    b: m[2][0] * v.r + m[2][1] * v.g + m[2][2] * v.b,
+  };
+}
+
+export function linearRgbToLinearP3(rgb) {
+  return mul3(XYZ_TO_LINEAR_P3, mul3(LINEAR_SRGB_TO_XYZ, rgb));
+}
+
+export function linearP3ToLinearRgb(p3) {
+  return mul3(XYZ_TO_LINEAR_SRGB, mul3(LINEAR_P3_TO_XYZ, p3));
+}
+
+// Display-P3는 sRGB와 같은 전달 함수를 사용
+export function oklchToP3(lch) {
+  const p3 = linearRgbToRgb(linearRgbToLinearP3(oklabToLinearRgb(oklchToOklab(lch))));
+  return { ...p3, inGamut: rgbInUnitCube(p3) };
+}
+
+export function p3ToOklch(p3) {
+  return oklabToOklch(linearRgbToOklab(linearP3ToLinearRgb(rgbToLinearRgb(p3))));
+}
+
+function rgbInUnitCube(rgb) {
+  return rgb.r >= 0 && rgb.r <= 1 && rgb.g >= 0 && rgb.g <= 1 && rgb.b >= 0 && rgb.b <= 1;
+}
+
+function round4(x) {
+  return Math.round(x * 10000) / 10000;
+}
+
+// alpha가 1보다 작으면 " / alpha"를 붙임
+function alphaSuffix(alpha) {
+  return alpha < 1 ? ` / ${round4(alpha)}` : "";
+}
+
+export function formatOklch(c, alpha = 1) {
+  const H = round4(c.C < 1e-4 ? 0 : c.H);
+  return `oklch(${round4(c.L * 100)}% ${round4(c.C)} ${H}${alphaSuffix(alpha)})`;
+}
+
+export function formatP3(p3, alpha = 1) {
+  const ch = (x) => round4(clamp(x, 0, 1));
+  return `color(display-p3 ${ch(p3.r)} ${ch(p3.g)} ${ch(p3.b)}${alphaSuffix(alpha)})`;
+}
+
+/* -----------------------------
+   Gamut mapping (CSS Color 4)
+   chroma reduction + ΔE OK tolerance
+------------------------------ */
+const GAMUT_JND = 0.02;
+const GAMUT_EPSILON = 0.0001;
+
+function oklchInGamut(c, gamut = "srgb") {
+  return gamut === "p3" ? oklchToP3(c).inGamut : oklchToHex(c).inGamut;
+}
+
+function clipOklch(c, gamut = "srgb") {
+  if (gamut === "p3") {
+    const p3 = oklchToP3(c);
+    return p3ToOklch({ r: clamp(p3.r, 0, 1), g: clamp(p3.g, 0, 1), b: clamp(p3.b, 0, 1) });
+  }
+  const rgb = linearRgbToRgb(oklabToLinearRgb(oklchToOklab(c)));
+  const clipped = { r: clamp(rgb.r, 0, 1), g: clamp(rgb.g, 0, 1), b: clamp(rgb.b, 0, 1) };
+  return oklabToOklch(linearRgbToOklab(rgbToLinearRgb(clipped)));
+}
+
+function deltaEOK(c1, c2) {
+  const a = oklchToOklab(c1);
+  const b = oklchToOklab(c2);
+  const dL = a.L - b.L;
+  const da = a.a - b.a;
+  const db = a.b - b.b;
+  return Math.sqrt(dL * dL + da * da + db * db);
+}
+
+/**
+ * CSS Color 4 gamut mapping: L/H를 유지한 채 C를 이분 탐색으로 줄이되,
+ * 클리핑 결과와의 ΔE OK가 JND(0.02) 미만이 되는 지점에서 클리핑해 반환.
+ * gamut: "srgb" | "p3"
+ */
+export function gamutMapOklch(c, gamut = "srgb") {
+  const origin = { L: c.L, C: Math.max(0, c.C), H: mod360(c.H) };
+  if (origin.L >= 1) return { L: 1, C: 0, H: origin.H };
+  if (origin.L <= 0) return { L: 0, C: 0, H: origin.H };
+  if (oklchInGamut(origin, gamut)) return origin;
+
+  let clipped = clipOklch(origin, gamut);
+  if (deltaEOK(clipped, origin) < GAMUT_JND) return clipped;
+
+  let min = 0;
+  let max = origin.C;
+  let minInGamut = true;
+  while (max - min > GAMUT_EPSILON) {
+    const chroma = (min + max) / 2;
+    const current = { L: origin.L, C: chroma, H: origin.H };
+    if (minInGamut && oklchInGamut(current, gamut)) {
+      min = chroma;
+      continue;
+    }
+    clipped = clipOklch(current, gamut);
+    const E = deltaEOK(clipped, current);
+    if (E < GAMUT_JND) {
+      if (GAMUT_JND - E < GAMUT_EPSILON) return clipped;
+      minInGamut = false;
+      min = chroma;
+    } else {
+      max = chroma;
+    }
+  }
+  return clipped;
+}
+
+/*
+ * oklchToHex와 같은 형태(+inP3)로 반환하되 sRGB 밖이면 매핑 후 변환.
+ * gm({ gamut, mapped, wide })이 주어지면 sRGB 매핑된 토큰과 변화량(ΔE OK, 채도 손실)을
+ * mapped에 기록하고, gamut이 "p3"이면 P3로 매핑한 값을 wide[token]에 기록.
+ * gm.locked에 잠긴 토큰이면 계산값 대신 잠긴 hex를 그대로 반환.
+ * source는 매핑 전 색 (잠긴 토큰은 잠긴 색). 파생 상태는 여기서 출발해 P3에서도 잘리지 않게 함.
+ */
+function mapToHex(c, token, gm) {
+  if (gm && gm.locked && gm.locked[token]) {
+    const hex = gm.locked[token];
+    return { hex, inGamut: true, inP3: true, source: hexToOklch(hex) };
+  }
+  if (gm && gm.gamut === "p3") gm.wide[token] = wideColor(gamutMapOklch(c, "p3"));
+  const direct = oklchToHex(c);
+  if (direct.inGamut) return { ...direct, inP3: true, source: c };
+  const mapped = gamutMapOklch(c);
+  const hex = oklchToHex(mapped).hex;
+  if (gm) {
+    gm.mapped.push({
+      token,
+      hex,
+      deltaE: deltaEOK(c, hexToOklch(hex)),
+      chromaLoss: Math.max(0, c.C - mapped.C),
+    });
+  }
+  return { hex, inGamut: false, inP3: oklchInGamut(c, "p3"), source: c };
+}
+
+function wideColor(c, alpha = 1) {
+  return { oklch: formatOklch(c, alpha), p3: formatP3(oklchToP3(c), alpha) };
+}
+
+/*
+ * 토큰 트리의 모든 hex를 { hex, oklch, p3 }로 펼침. hex는 sRGB fallback이며
+ * wide에 기록이 없는 토큰(고정 primary, 흑/백 텍스트 등)은 hex 자체를 변환.
+ */
+function wideTokens(tokens, wide, prefix = "") {
+  const out = {};
+  for (const [k, v] of Object.entries(tokens)) {
+    const path = prefix ? `${prefix}.${k}` : k;
+    if (v && typeof v === "object") out[k] = wideTokens(v, wide, path);
+    else if (typeof v === "string" && v.startsWith("#")) {
+      const { hex, alpha } = splitAlpha(v);
+      out[k] = { hex: v, ...(wide[path] ?? wideColor(hexToOklch(hex), alpha)) };
+    }
+  }
+  return out;
+}
+
 /* -----------------------------
    WCAG Contrast
 ------------------------------ */
@@ -181,52 +398,266 @@ export function relativeLuminance(rgb) {
   return 0.2126 * r + 0.7152 * g + 0.0722 * b;
 }
 
+// hex별 상대 휘도 캐시. 최적화 중 같은 색의 대비를 반복해서 잼
+const LUMINANCE_CACHE = new Map();
+const LUMINANCE_CACHE_SIZE = 8192;
+
+function hexLuminance(hex) {
+  let Y = LUMINANCE_CACHE.get(hex);
+  if (Y === undefined) {
+    Y = relativeLuminance(hexToRgb(hex));
+    if (LUMINANCE_CACHE.size >= LUMINANCE_CACHE_SIZE) LUMINANCE_CACHE.clear();
+    LUMINANCE_CACHE.set(hex, Y);
+  }
+  return Y;
+}
+
 export function contrastRatio(fgHex, bgHex) {
-  const fg = hexToRgb(fgHex);
-  const bg = hexToRgb(bgHex);
-  const L1 = relativeLuminance(fg);
-  const L2 = relativeLuminance(bg);
+  const L1 = hexLuminance(fgHex);
+  const L2 = hexLuminance(bgHex);
   const lighter = Math.max(L1, L2);
   const darker = Math.min(L1, L2);
   return (lighter + 0.05) / (darker + 0.05);
 }
 
-function targetContrast(target) {
+/* -----------------------------
+   APCA Contrast (WCAG 3 draft, 0.0.98G-4g)
+------------------------------ */
+const APCA = {
+  mainTRC: 2.4,
+  sRco: 0.2126729,
+  sGco: 0.7151522,
+  sBco: 0.072175,
+  normBG: 0.56,
+  normTXT: 0.57,
+  revTXT: 0.62,
+  revBG: 0.65,
+  blkThrs: 0.022,
+  blkClmp: 1.414,
+  scaleBoW: 1.14,
+  scaleWoB: 1.14,
+  loBoWoffset: 0.027,
+  loWoBoffset: 0.027,
+  deltaYmin: 0.0005,
+  loClip: 0.1,
+};
+
+function apcaLuminance(rgb) {
+  return (
+    APCA.sRco * Math.pow(rgb.r, APCA.mainTRC) +
+    APCA.sGco * Math.pow(rgb.g, APCA.mainTRC) +
+    APCA.sBco * Math.pow(rgb.b, APCA.mainTRC)
+  );
+}
+
+function apcaSoftClamp(Y) {
+  return Y > APCA.blkThrs ? Y : Y + Math.pow(APCA.blkThrs - Y, APCA.blkClmp);
+}
+
+/**
+ * APCA Lc (lightness contrast). 부호가 극성을 나타냄:
+ * 양수 = 밝은 배경 위 어두운 글자, 음수 = 어두운 배경 위 밝은 글자.
+ */
+export function apcaContrast(textHex, bgHex) {
+  const txtY = apcaSoftClamp(apcaLuminance(hexToRgb(textHex)));
+  const bgY = apcaSoftClamp(apcaLuminance(hexToRgb(bgHex)));
+  if (Math.abs(bgY - txtY) < APCA.deltaYmin) return 0;
+
+  let out;
+  if (bgY > txtY) {
+    const sapc = (Math.pow(bgY, APCA.normBG) - Math.pow(txtY, APCA.normTXT)) * APCA.scaleBoW;
+    out = sapc < APCA.loClip ? 0 : sapc - APCA.loBoWoffset;
+  } else {
+    const sapc = (Math.pow(bgY, APCA.revBG) - Math.pow(txtY, APCA.revTXT)) * APCA.scaleWoB;
+    out = sapc > -APCA.loClip ? 0 : sapc + APCA.loWoBoffset;
+  }
+  return out * 100;
+}
+
+/*
+ * Bronze simple mode 기준 최소 |Lc|.
+ * - body: 본문 (16px/400)
+ * - large: 큰 글자 (24px/400 또는 16px/700 이상)
+ * - ui: 헤드라인(36px/400, 24px/700 이상) 및 비텍스트 요소
+ * - spot: placeholder, disabled 등 보조 텍스트
+ */
+const APCA_USE_CASES = {
+  body: { AA: 75, AAA: 90 },
+  large: { AA: 60, AAA: 75 },
+  ui: { AA: 45, AAA: 60 },
+  spot: { AA: 30, AAA: 45 },
+};
+
+export function apcaUseCase(fontSizePx, fontWeight = 400) {
+  if (fontSizePx >= 36 || (fontSizePx >= 24 && fontWeight >= 700)) return "ui";
+  if (fontSizePx >= 24 || (fontSizePx >= 16 && fontWeight >= 700)) return "large";
+  return "body";
+}
+
+export function apcaMinLc(fontSizePx, fontWeight = 400, target = "AA") {
+  const useCase = APCA_USE_CASES[apcaUseCase(fontSizePx, fontWeight)];
+  return target === "AAA" ? useCase.AAA : useCase.AA;
+}
+
+function apcaPolarity(lc) {
+  return lc >= 0 ? "dark-on-light" : "light-on-dark";
+}
+
+function targetContrast(target, model = "wcag2") {
+  if (model === "apca") {
+    const level = target === "AAA" ? "AAA" : "AA";
+    return {
+      normal: APCA_USE_CASES.body[level],
+      large: APCA_USE_CASES.large[level],
+    };
+  }
   return {
     normal: target === "AAA" ? 7.0 : 4.5,
     large: target === "AAA" ? 4.5 : 3.0,
   };
 }
 
+/*
+ * 모델별 대비 측정. value는 임계값과 비교되는 값
+ * (wcag2: ratio, apca: |Lc|). ratio는 항상 함께 기록.
+ */
+function measureContrast(fgHex, bgHex, model = "wcag2") {
+  const ratio = contrastRatio(fgHex, bgHex);
+  if (model !== "apca") return { ratio, value: ratio };
+  const lc = apcaContrast(fgHex, bgHex);
+  return { ratio, lc, polarity: apcaPolarity(lc), value: Math.abs(lc) };
+}
+
 /* -----------------------------
-   CVD Simulation (approx matrices)
+   CVD Simulation (Machado et al. 2009, linear RGB)
 ------------------------------ */
-const CVD_MATS = {
+// severity 0.0, 0.1, …, 1.0 행렬 (Machado, Oliveira & Fernandes 2009). 사이 값은 선형 보간
+const MACHADO = {
   protan: [
-    [0.56667, 0.43333, 0.0],
-    [0.55833, 0.44167, 0.0],
-    [0.0, 0.24167, 0.75833],
+    [1, 0, 0, 0, 1, 0, 0, 0, 1],
+    [0.856167, 0.182038, -0.038205, 0.029342, 0.955115, 0.015544, -0.00288, -0.001563, 1.004443],
+    [0.734766, 0.334872, -0.069637, 0.05184, 0.919198, 0.028963, -0.004928, -0.004209, 1.009137],
+    [0.630323, 0.465641, -0.095964, 0.069181, 0.890046, 0.040773, -0.006308, -0.007724, 1.014032],
+    [0.539009, 0.579343, -0.118352, 0.082546, 0.866121, 0.051332, -0.007136, -0.011959, 1.019095],
+    [0.458064, 0.679578, -0.137642, 0.092785, 0.846313, 0.060902, -0.007494, -0.016807, 1.024301],
+    [0.38545, 0.769005, -0.154455, 0.100526, 0.829802, 0.069673, -0.007442, -0.02219, 1.029632],
+    [0.319627, 0.849633, -0.169261, 0.106241, 0.815969, 0.07779, -0.007025, -0.028051, 1.035076],
+    [0.259411, 0.923008, -0.18242, 0.110296, 0.80434, 0.085364, -0.006276, -0.034346, 1.040622],
+    [0.203876, 0.990338, -0.194214, 0.112975, 0.794542, 0.092483, -0.005222, -0.041043, 1.046265],
+    [0.152286, 1.052583, -0.204868, 0.114503, 0.786281, 0.099216, -0.003882, -0.048116, 1.051998],
   ],
   deutan: [
-    [0.625, 0.375, 0.0],
-    [0.7, 0.3, 0.0],
-    [0.0, 0.3, 0.7],
+    [1, 0, 0, 0, 1, 0, 0, 0, 1],
+    [0.866435, 0.177704, -0.044139, 0.049567, 0.939063, 0.01137, -0.003453, 0.007233, 0.99622],
+    [0.760729, 0.319078, -0.079807, 0.090568, 0.889315, 0.020117, -0.006027, 0.013325, 0.992702],
+    [0.675425, 0.43385, -0.109275, 0.125303, 0.847755, 0.026942, -0.00795, 0.018572, 0.989378],
+    [0.605511, 0.52856, -0.134071, 0.155318, 0.812366, 0.032316, -0.009376, 0.023176, 0.9862],
+    [0.547494, 0.607765, -0.155259, 0.181692, 0.781742, 0.036566, -0.01041, 0.027275, 0.983136],
+    [0.498864, 0.674741, -0.173604, 0.205199, 0.754872, 0.039929, -0.011131, 0.030969, 0.980162],
+    [0.457771, 0.731899, -0.18967, 0.226409, 0.731012, 0.042579, -0.011595, 0.034333, 0.977261],
+    [0.422823, 0.781057, -0.203881, 0.245752, 0.709602, 0.044646, -0.011843, 0.037423, 0.974421],
+    [0.392952, 0.82361, -0.216562, 0.263559, 0.69021, 0.046232, -0.01191, 0.040281, 0.97163],
+    [0.367322, 0.860646, -0.227968, 0.280085, 0.672501, 0.047413, -0.01182, 0.04294, 0.968881],
   ],
   tritan: [
-    [0.95, 0.05, 0.0],
-    [0.0, 0.43333, 0.56667],
-    [0.0, 0.475, 0.525],
+    [1, 0, 0, 0, 1, 0, 0, 0, 1],
+    [0.92667, 0.092514, -0.019184, 0.021191, 0.964503, 0.014306, 0.008437, 0.054813, 0.93675],
+    [0.89572, 0.13333, -0.02905, 0.029997, 0.9454, 0.024603, 0.013027, 0.104707, 0.882266],
+    [0.905871, 0.127791, -0.033662, 0.026856, 0.941251, 0.031893, 0.01341, 0.148296, 0.838294],
+    [0.948035, 0.08949, -0.037526, 0.014364, 0.946792, 0.038844, 0.010853, 0.193991, 0.795156],
+    [1.017277, 0.027029, -0.044306, -0.006113, 0.958479, 0.047634, 0.006379, 0.248708, 0.744913],
+    [1.104996, -0.046633, -0.058363, -0.032137, 0.971635, 0.060503, 0.001336, 0.317922, 0.680742],
+    [1.193214, -0.109812, -0.083402, -0.058496, 0.97941, 0.079086, -0.002346, 0.403492, 0.598854],
+    [1.257728, -0.139648, -0.118081, -0.078003, 0.975409, 0.102594, -0.003316, 0.501214, 0.502102],
+    [1.278864, -0.125333, -0.153531, -0.084748, 0.957674, 0.127074, -0.000989, 0.601151, 0.399838],
+    [1.255528, -0.076749, -0.178779, -0.078411, 0.930809, 0.147602, 0.004733, 0.691367, 0.3039],
   ],
 };
 
+// 단색형: 세 채널이 같은 가중합 (achromatopsia = 휘도, blue cone = S-cone 가중 근사)
+const MONOCHROMACY = {
+  achromatopsia: [0.2126, 0.7152, 0.0722],
+  blueConeMonochromacy: [0.01775, 0.10945, 0.87262],
+};
+
+export const CVD_TYPES = [...Object.keys(MACHADO), ...Object.keys(MONOCHROMACY)];
+const DEFAULT_CVD_MODES = ["none", "protan", "deutan", "tritan"];
+
+/**
+ * 색각 모드를 { type, severity, key }로 정규화.
+ * "deutan" | "deutan:0.6" | { type: "deutan", severity: 0.6 } (severity 기본 1, 0~1)
+ * key는 보고서·스와치에 쓰는 문자열 ("deutan", "deutan:0.6", "none")
+ */
+export function normalizeCvdMode(mode) {
+  if (mode === "none") return { type: "none", severity: 0, key: "none" };
+  let type = mode;
+  let severity = 1;
+  if (mode && typeof mode === "object") {
+    type = mode.type;
+    severity = mode.severity ?? 1;
+  } else if (typeof mode === "string" && mode.includes(":")) {
+    [type, severity] = mode.split(":");
+    severity = Number(severity);
+  }
+  if (!CVD_TYPES.includes(type)) {
+    throw new Error(
+      `Unknown CVD mode: ${JSON.stringify(mode)} (expected none | ${CVD_TYPES.join(" | ")})`
+    );
+  }
+  if (typeof severity !== "number" || !(severity >= 0 && severity <= 1)) {
+    throw new Error(`CVD severity must be between 0 and 1: ${JSON.stringify(mode)}`);
+  }
+  const s = Math.round(severity * 100) / 100;
+  return { type, severity: s, key: s === 1 ? type : `${type}:${s}` };
+}
+
+function normalizeCvdModes(modes) {
+  const list = modes && modes.length > 0 ? modes : DEFAULT_CVD_MODES;
+  return [...new Set(list.map((m) => normalizeCvdMode(m).key))];
+}
+
+function cvdMatrix(type, severity) {
+  if (MONOCHROMACY[type]) {
+    const w = MONOCHROMACY[type];
+    const identity = MACHADO.protan[0];
+    return identity.map((v, i) => (1 - severity) * v + severity * w[i % 3]);
+  }
+  const table = MACHADO[type];
+  const x = severity * 10;
+  const lo = Math.floor(x);
+  const hi = Math.min(lo + 1, 10);
+  const t = x - lo;
+  return table[lo].map((v, i) => v + (table[hi][i] - v) * t);
+}
+
+// 모드 key -> 3x3 행렬 (행 우선 9개). 검사마다 호출되므로 캐시
+const CVD_MATRIX_CACHE = new Map();
+// 시뮬레이션 결과 캐시 (모드 -> hex -> hex)
+const CVD_HEX_CACHE = new Map();
+const CVD_HEX_CACHE_SIZE = 8192;
+
 export function applyCvd(hex, mode) {
-  if (mode === "none") return hex.toUpperCase();
-  const mat = CVD_MATS[mode];
-  const rgb = hexToRgb(hex);
-  const r = clamp(mat[0][0] * rgb.r + mat[0][1] * rgb.g + mat[0][2] * rgb.b, 0, 1);
-  const g = clamp(mat[1][0] * rgb.r + mat[1][1] * rgb.g + mat[1][2] * rgb.b, 0, 1);
-  const b = clamp(mat[2][0] * rgb.r + mat[2][1] * rgb.g + mat[2][2] * rgb.b, 0, 1);
-  return rgbToHex({ r, g, b });
+  const key = typeof mode === "string" ? mode : normalizeCvdMode(mode).key;
+  if (key === "none") return hex.toUpperCase();
+  let m = CVD_MATRIX_CACHE.get(key);
+  if (!m) {
+    const { type, severity } = normalizeCvdMode(mode);
+    m = cvdMatrix(type, severity);
+    CVD_MATRIX_CACHE.set(key, m);
+  }
+  let sims = CVD_HEX_CACHE.get(key);
+  if (!sims) CVD_HEX_CACHE.set(key, (sims = new Map()));
+  let out = sims.get(hex);
+  if (out === undefined) {
+    const lin = rgbToLinearRgb(hexToRgb(hex));
+    const r = clamp(m[0] * lin.r + m[1] * lin.g + m[2] * lin.b, 0, 1);
+    const g = clamp(m[3] * lin.r + m[4] * lin.g + m[5] * lin.b, 0, 1);
+    const b = clamp(m[6] * lin.r + m[7] * lin.g + m[8] * lin.b, 0, 1);
+    out = rgbToHex(linearRgbToRgb({ r, g, b }));
+    if (sims.size >= CVD_HEX_CACHE_SIZE) sims.clear();
+    sims.set(hex, out);
+  }
+  return out;
 }
 
 /* -----------------------------
@@ -243,21 +674,203 @@ export function deltaEoklab(hex1, hex2) {
   return Math.sqrt(dL * dL + da * da + db * db);
 }
 
+/* -----------------------------
+   Color difference: CIELAB / CIEDE2000 / CAM16-UCS
+   XYZ는 D65, Y 0–100 스케일
+------------------------------ */
+const D65_WHITE = { X: 95.047, Y: 100, Z: 108.883 };
+
+export function hexToXyz(hex) {
+  const lin = mul3(LINEAR_SRGB_TO_XYZ, rgbToLinearRgb(hexToRgb(hex)));
+  return { X: lin.r * 100, Y: lin.g * 100, Z: lin.b * 100 };
+}
+
+export function xyzToHex(xyz) {
+  const lin = mul3(XYZ_TO_LINEAR_SRGB, { r: xyz.X / 100, g: xyz.Y / 100, b: xyz.Z / 100 });
+  const rgb = linearRgbToRgb(lin);
+  return rgbToHex({ r: clamp(rgb.r, 0, 1), g: clamp(rgb.g, 0, 1), b: clamp(rgb.b, 0, 1) });
+}
+
+const LAB_EPSILON = 216 / 24389;
+const LAB_KAPPA = 24389 / 27;
+
+export function xyzToLab(xyz, white = D65_WHITE) {
+  const f = (t) => (t > LAB_EPSILON ? Math.cbrt(t) : (LAB_KAPPA * t + 16) / 116);
+  const fx = f(xyz.X / white.X);
+  const fy = f(xyz.Y / white.Y);
+  const fz = f(xyz.Z / white.Z);
+  return { L: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+}
+
+export function labToXyz(lab, white = D65_WHITE) {
+  const fy = (lab.L + 16) / 116;
+  const fx = fy + lab.a / 500;
+  const fz = fy - lab.b / 200;
+  const inv = (f) => (f ** 3 > LAB_EPSILON ? f ** 3 : (116 * f - 16) / LAB_KAPPA);
+  const Y = lab.L > LAB_KAPPA * LAB_EPSILON ? fy ** 3 : lab.L / LAB_KAPPA;
+  return { X: inv(fx) * white.X, Y: Y * white.Y, Z: inv(fz) * white.Z };
+}
+
+export function hexToLab(hex) {
+  return xyzToLab(hexToXyz(hex));
+}
+
+export function labToHex(lab) {
+  return xyzToHex(labToXyz(lab));
+}
+
+/**
+ * CIEDE2000 (CIE 142-2001, kL = kC = kH = 1).
+ * 입력은 hex 또는 CIELAB { L, a, b }
+ */
+export function deltaE2000(c1, c2) {
+  const lab1 = typeof c1 === "string" ? hexToLab(c1) : c1;
+  const lab2 = typeof c2 === "string" ? hexToLab(c2) : c2;
+  const rad = Math.PI / 180;
+
+  const Cbar = (Math.hypot(lab1.a, lab1.b) + Math.hypot(lab2.a, lab2.b)) / 2;
+  const G = 0.5 * (1 - Math.sqrt(Cbar ** 7 / (Cbar ** 7 + 25 ** 7)));
+  const a1 = (1 + G) * lab1.a;
+  const a2 = (1 + G) * lab2.a;
+  const C1 = Math.hypot(a1, lab1.b);
+  const C2 = Math.hypot(a2, lab2.b);
+  const h1 = C1 === 0 ? 0 : mod360(Math.atan2(lab1.b, a1) / rad);
+  const h2 = C2 === 0 ? 0 : mod360(Math.atan2(lab2.b, a2) / rad);
+
+  const dL = lab2.L - lab1.L;
+  const dC = C2 - C1;
+  let dh = 0;
+  if (C1 * C2 !== 0) {
+    dh = h2 - h1;
+    if (dh > 180) dh -= 360;
+    else if (dh < -180) dh += 360;
+  }
+  const dH = 2 * Math.sqrt(C1 * C2) * Math.sin((dh / 2) * rad);
+
+  const Lbar = (lab1.L + lab2.L) / 2;
+  const Cbarp = (C1 + C2) / 2;
+  let hbar = h1 + h2;
+  if (C1 * C2 !== 0) {
+    if (Math.abs(h1 - h2) <= 180) hbar /= 2;
+    else hbar = h1 + h2 < 360 ? (hbar + 360) / 2 : (hbar - 360) / 2;
+  }
+
+  const T =
+    1 -
+    0.17 * Math.cos((hbar - 30) * rad) +
+    0.24 * Math.cos(2 * hbar * rad) +
+    0.32 * Math.cos((3 * hbar + 6) * rad) -
+    0.2 * Math.cos((4 * hbar - 63) * rad);
+  const dTheta = 30 * Math.exp(-(((hbar - 275) / 25) ** 2));
+  const RC = 2 * Math.sqrt(Cbarp ** 7 / (Cbarp ** 7 + 25 ** 7));
+  const SL = 1 + (0.015 * (Lbar - 50) ** 2) / Math.sqrt(20 + (Lbar - 50) ** 2);
+  const SC = 1 + 0.045 * Cbarp;
+  const SH = 1 + 0.015 * Cbarp * T;
+  const RT = -Math.sin(2 * dTheta * rad) * RC;
+
+  const l = dL / SL;
+  const c = dC / SC;
+  const h = dH / SH;
+  return Math.sqrt(l * l + c * c + h * h + RT * c * h);
+}
+
+// CAM16 관찰 조건: sRGB 기준 (64 lx → L_A = 64/π/5, Yb 20, average surround)
+const M16 = [
+  [0.401288, 0.650173, -0.051461],
+  [-0.250268, 1.204414, 0.045854],
+  [-0.002079, 0.048952, 0.953127],
+];
+
+function cam16Adapt(x, FL) {
+  const p = (FL * Math.abs(x)) / 100;
+  return (Math.sign(x) * 400 * p ** 0.42) / (p ** 0.42 + 27.13) + 0.1;
+}
+
+function cam16Environment(white = D65_WHITE, LA = 64 / Math.PI / 5, Yb = 20) {
+  const F = 1.0;
+  const c = 0.69;
+  const Nc = 1.0;
+  const toCone = (xyz) => mul3(M16, { r: xyz.X, g: xyz.Y, b: xyz.Z });
+  const w = toCone(white);
+  const D = clamp(F * (1 - (1 / 3.6) * Math.exp((-LA - 42) / 92)), 0, 1);
+  const adapt = (x) => (D * white.Y) / x + 1 - D;
+  const Dr = { r: adapt(w.r), g: adapt(w.g), b: adapt(w.b) };
+  const k = 1 / (5 * LA + 1);
+  const FL = 0.2 * k ** 4 * 5 * LA + 0.1 * (1 - k ** 4) ** 2 * Math.cbrt(5 * LA);
+  const n = Yb / white.Y;
+  const z = 1.48 + Math.sqrt(n);
+  const Nbb = 0.725 * n ** -0.2;
+  const Rw = cam16Adapt(Dr.r * w.r, FL);
+  const Gw = cam16Adapt(Dr.g * w.g, FL);
+  const Bw = cam16Adapt(Dr.b * w.b, FL);
+  const Aw = (2 * Rw + Gw + Bw / 20 - 0.305) * Nbb;
+  return { toCone, Dr, FL, n, z, Nbb, Ncb: Nbb, Nc, c, Aw };
+}
+
+const CAM16_ENV = cam16Environment();
+
+/**
+ * XYZ(D65, Y 0–100) -> CAM16-UCS { J, a, b } (Li et al. 2017).
+ * J'는 보정된 명도, a'/b'는 로그 압축한 colorfulness M'의 직교 성분
+ */
+export function xyzToCam16Ucs(xyz) {
+  const env = CAM16_ENV;
+  const cone = env.toCone(xyz);
+  const Ra = cam16Adapt(env.Dr.r * cone.r, env.FL);
+  const Ga = cam16Adapt(env.Dr.g * cone.g, env.FL);
+  const Ba = cam16Adapt(env.Dr.b * cone.b, env.FL);
+
+  const a = Ra - (12 * Ga) / 11 + Ba / 11;
+  const b = (Ra + Ga - 2 * Ba) / 9;
+  const h = Math.atan2(b, a);
+  const et = 0.25 * (Math.cos(h + 2) + 3.8);
+  const A = Math.max(0, (2 * Ra + Ga + Ba / 20 - 0.305) * env.Nbb);
+  const J = 100 * (A / env.Aw) ** (env.c * env.z);
+  const t = ((50000 / 13) * env.Nc * env.Ncb * et * Math.hypot(a, b)) / (Ra + Ga + (21 / 20) * Ba);
+  const C = t ** 0.9 * Math.sqrt(J / 100) * (1.64 - 0.29 ** env.n) ** 0.73;
+  const M = C * env.FL ** 0.25;
+
+  const Jp = (1.7 * J) / (1 + 0.007 * J);
+  const Mp = Math.log(1 + 0.0228 * M) / 0.0228;
+  return { J: Jp, a: Mp * Math.cos(h), b: Mp * Math.sin(h) };
+}
+
+export function hexToCam16Ucs(hex) {
+  return xyzToCam16Ucs(hexToXyz(hex));
+}
+
+// CAM16-UCS 유클리드 거리 ΔE'
+export function deltaECam16(hex1, hex2) {
+  const u1 = hexToCam16Ucs(hex1);
+  const u2 = hexToCam16Ucs(hex2);
+  return Math.sqrt((u1.J - u2.J) ** 2 + (u1.a - u2.a) ** 2 + (u1.b - u2.b) ** 2);
+}
+
+// 지표별 "겨우 구별되는 차이"(JND) 한 단위의 크기
+export const DELTA_E_JND = { ok: 0.02, ciede2000: 1.0, cam16ucs: 1.0 };
+export const DIFFERENCE_METRICS = Object.keys(DELTA_E_JND);
+
+const DELTA_E_FNS = { ok: deltaEoklab, ciede2000: deltaE2000, cam16ucs: deltaECam16 };
+
+/**
+ * metric: "ok"(OKLab 유클리드, 기본) | "ciede2000" | "cam16ucs".
+ * 값은 지표 고유 단위. JND 단위는 DELTA_E_JND[metric]으로 나눔
+ */
+export function deltaE(hex1, hex2, metric = "ok") {
+  const fn = DELTA_E_FNS[metric];
+  if (!fn) {
+    throw new Error(
+      `Unknown difference metric: ${metric} (expected ${DIFFERENCE_METRICS.join(" | ")})`
+    );
+  }
+  return fn(hex1, hex2);
+}
+
 /* -----------------------------
    Token param model (primary fixed)
 ------------------------------ */
 function defaultWeights(overrides) {
-  const base = {
-    contrast: 3.2,
-    toneSystem: 1.1,
-    emphasis: 1.3,
-    harmony: 0.7,
-    cvdRobust: 1.4,
-    semanticSeparation: 1.0,
-    gamutPenalty: 2.0,
-    stateContrast: 1.4,
-  };
-  return { ...base, ...(overrides || {}) };
+  return { ...DEFAULT_WEIGHTS, ...(overrides || {}) };
 }
 
 function lch(L, C, H) {
@@ -269,25 +882,304 @@ function pickTextOn(fillHex) {
   return lum > 0.5 ? "#000000" : "#FFFFFF";
 }
 
-function deriveFillStates(baseHex, mode) {
-  const base = hexToOklch(baseHex);
+const SEMANTIC_ROLES = ["success", "warning", "danger", "info"];
+
+// 채움 상태: 기준 L에서 모드 방향으로 이동(dL), chroma 배율(c)
+const FILL_STATE_SHIFTS = {
+  hover: { dL: 0.04, c: 1 },
+  pressed: { dL: 0.08, c: 1 },
+  selected: { dL: 0.12, c: 1.1 },
+  loading: { dL: 0.02, c: 0.6 },
+};
+const FILL_STATE_KEYS = { hover: "hover", pressed: "pressed" };
+const BUTTON_STATE_KEYS = {
+  hover: "hoverBg",
+  pressed: "pressedBg",
+  selected: "selectedBg",
+  loading: "loadingBg",
+  disabled: "disabledBg",
+};
+
+// 버튼 변형과 상태. 토큰 키는 기본 상태만 bg/text/border, 나머지는 <state>Bg 형식
+const BUTTON_VARIANTS = ["Primary", "Secondary", "Tertiary", "Outline", "Danger"];
+const BUTTON_STATES = ["default", "hover", "pressed", "focus", "selected", "loading", "disabled"];
+
+function buttonKey(state, part) {
+  return state === "default" ? part.toLowerCase() : `${state}${part}`;
+}
+
+// 채움의 상태 색 (매핑 전 OKLCH). base도 매핑 전 OKLCH
+function fillStateColor(base, state, mode) {
+  if (state === "disabled") {
+    return lch(mode === "light" ? 0.85 : 0.25, Math.min(base.C, 0.02), base.H);
+  }
   const dir = mode === "light" ? -1 : 1;
+  const shift = FILL_STATE_SHIFTS[state];
+  return lch(base.L + dir * shift.dL, base.C * shift.c, base.H);
+}
 
-  const hoverL = clamp(base.L + dir * 0.04, 0, 1);
-  const pressedL = clamp(base.L + dir * 0.08, 0, 1);
+// keys에 있는 상태만 만든다 (semantic은 hover/pressed, 버튼은 전부)
+function deriveFillStates(base, mode, name, gm, keys = FILL_STATE_KEYS) {
+  const out = {};
+  for (const [state, key] of Object.entries(keys)) {
+    out[state] = mapToHex(fillStateColor(base, state, mode), `${name}.${key}`, gm).hex;
+  }
+  return out;
+}
 
-  const disabledL = clamp(mode === "light" ? 0.85 : 0.25, 0, 1);
-  const disabledC = Math.min(base.C, 0.02);
+// 파생 텍스트·테두리가 맞출 기준 (buildTokens ctx.contrast). 검사와 같은 목표·모델·CVD 모드를 씀
+function contrastRequirements(target = "AA", model = "wcag2", cvdModes) {
+  const modes = normalizeCvdModes(cvdModes);
+  return {
+    ...targetContrast(target, model),
+    ui: nonTextMins(model).uiMin,
+    model,
+    cvdModes: modes,
+    key: [target, model, ...modes].join(","),
+  };
+}
 
-  const hover = oklchToHex(lch(hoverL, base.C, base.H)).hex;
-  const pressed = oklchToHex(lch(pressedL, base.C, base.H)).hex;
-  const disabled = oklchToHex(lch(disabledL, disabledC, base.H)).hex;
+// 배경들을 CVD 모드별로 한 번만 시뮬레이션해 두고, 전경색의 최저 대비를 재는 함수를 돌려줌
+function worstContrastOn(bgHexes, req) {
+  const sims = req.cvdModes.map((m) => [m, bgHexes.map((b) => applyCvd(b, m))]);
+  return (fgHex) => {
+    let worst = Infinity;
+    for (const [m, bgs] of sims) {
+      const fg = applyCvd(fgHex, m);
+      for (const b of bgs) worst = Math.min(worst, measureContrast(fg, b, req.model).value);
+    }
+    return worst;
+  };
+}
 
-  return { hover, pressed, disabled };
+/*
+ * 여러 채움 위에 공통으로 쓸 텍스트. preferred가 모든 채움에서 normal 기준을 넘으면 유지하고,
+ * 아니면 흑/백 중 최저 대비가 큰 쪽 (상태마다 텍스트 색이 뒤집히지 않도록 하나로 고름)
+ */
+function textOnFills(fillHexes, preferred, req) {
+  const worstOf = worstContrastOn(fillHexes, req);
+  if (preferred && worstOf(preferred) >= req.normal) return preferred;
+  return worstOf("#000000") >= worstOf("#FFFFFF") ? "#000000" : "#FFFFFF";
 }
 
-function deriveSubtleBg(baseHex, bgHex, mode) {
-  const base = hexToOklch(baseHex);
+// 배경 위 틴트 (ghost/outline 버튼의 hover·pressed·selected). base는 매핑 전 OKLCH
+function deriveTint(base, bgHex, amount, name, gm) {
+  const bg = hexToOklch(bgHex);
+  const L = bg.L + (base.L - bg.L) * amount;
+  return mapToHex(lch(L, base.C * amount, base.H), name, gm).hex;
+}
+
+const READABLE_STEPS = 8;
+
+// from에서 end(0 또는 1) 쪽으로 passes(L)를 만족하는 가장 가까운 L (이분 탐색). 끝에서도 실패하면 end
+function bisectL(from, end, passes) {
+  if (passes(from)) return from;
+  if (!passes(end)) return end;
+  let lo = from;
+  let hi = end;
+  for (let i = 0; i < READABLE_STEPS; i++) {
+    const mid = (lo + hi) / 2;
+    if (passes(mid)) hi = mid;
+    else lo = mid;
+  }
+  return hi;
+}
+
+/*
+ * 모든 배경 위에서 min을 넘도록 base(OKLCH)의 L을 배경 반대쪽으로 이동.
+ * base.L(미달)과 끝(0 또는 1) 사이를 이분 탐색해 기준을 넘는 가장 가까운 L을 고름.
+ * 끝에서도 미달이면 끝 값을 그대로 씀.
+ */
+function readableOn(base, bgHexes, min, req, mode, name, gm) {
+  if (gm.locked?.[name]) return mapToHex(base, name, gm).hex;
+
+  const worstOf = worstContrastOn(bgHexes, req);
+  const scratch = { ...gm, gamut: "srgb", mapped: [], wide: {} };
+  const at = (L) => lch(L, base.C, base.H);
+  const passes = (L) => worstOf(mapToHex(at(L), name, scratch).hex) >= min;
+  return mapToHex(at(bisectL(base.L, mode === "light" ? 0 : 1, passes)), name, gm).hex;
+}
+
+/*
+ * 정해진 텍스트 아래의 채움(color, 매핑 전 OKLCH)을 normal 기준을 넘을 때까지
+ * 텍스트 반대쪽으로 옮김. 흑/백 어느 쪽도 상태 채움 위에서 기준을 못 넘을 때 사용.
+ */
+function fillBehindText(color, textHex, req, name, gm) {
+  const texts = req.cvdModes.map((m) => [m, applyCvd(textHex, m)]);
+  const worstOf = (bgHex) =>
+    Math.min(...texts.map(([m, fg]) => measureContrast(fg, applyCvd(bgHex, m), req.model).value));
+  const scratch = { ...gm, gamut: "srgb", mapped: [], wide: {} };
+  const at = (L) => lch(L, color.C, color.H);
+  const passes = (L) => worstOf(mapToHex(at(L), name, scratch).hex) >= req.normal;
+  return at(bisectL(color.L, hexToOklch(textHex).L > 0.5 ? 0 : 1, passes));
+}
+
+// disabled 텍스트: 배경 L에서 출발해 large 기준을 겨우 넘는 만큼만 떨어뜨림 (흐리지만 읽히게)
+function deriveDisabledText(disabledBgHex, hue, req, mode, name, gm) {
+  const base = lch(hexToOklch(disabledBgHex).L, 0.015, hue);
+  return readableOn(base, [disabledBgHex], req.large, req, mode, name, gm);
+}
+
+// 같은 색을 다시 쓰는 토큰(hoverBorder = hoverBg 등)에 원래 토큰의 P3 값을 복사
+function shareWide(gm, name, from, to) {
+  const wide = gm.wide[`${name}.${from}`];
+  if (wide && !gm.locked?.[`${name}.${to}`]) gm.wide[`${name}.${to}`] = wide;
+}
+
+// { [state]: { bg, text, border } } -> 버튼 토큰 객체
+function buttonTokens(byState) {
+  const out = {};
+  for (const state of BUTTON_STATES) {
+    for (const part of ["Bg", "Text", "Border"]) {
+      out[buttonKey(state, part)] = byState[state][part.toLowerCase()];
+    }
+  }
+  return out;
+}
+
+/*
+ * 버튼 파생(상태 채움, 텍스트 탐색) 결과를 입력별로 캐시하고, 만들 때 gm에 남긴 기록
+ * (mapped/wide)을 다시 적용. 제안 대부분은 버튼 입력(채움·배경·기준)을 바꾸지 않음.
+ * key에는 gamut과 이 버튼에 걸린 잠금도 포함.
+ */
+const BUTTON_CACHE = new Map();
+const BUTTON_CACHE_SIZE = 256;
+
+function cachedButton(key, name, gm, derive) {
+  const locks = Object.entries(gm.locked ?? {}).filter(([k]) => k.startsWith(`${name}.`));
+  const full = [key, gm.gamut, JSON.stringify(locks)].join("|");
+  let hit = BUTTON_CACHE.get(full);
+  if (!hit) {
+    const rec = { gamut: gm.gamut, locked: gm.locked, mapped: [], wide: {} };
+    hit = { value: derive(rec), mapped: rec.mapped, wide: rec.wide };
+    if (BUTTON_CACHE.size >= BUTTON_CACHE_SIZE) {
+      BUTTON_CACHE.delete(BUTTON_CACHE.keys().next().value);
+    }
+    BUTTON_CACHE.set(full, hit);
+  }
+  gm.mapped.push(...hit.mapped);
+  Object.assign(gm.wide, hit.wide);
+  return hit.value;
+}
+
+const colorKey = (c) => `${c.L},${c.C},${c.H}`;
+
+// 채움 버튼에서 stateText를 올리는 상태 (disabled는 따로 large 기준)
+const FILLED_TEXT_STATES = ["hover", "pressed", "selected", "loading"];
+
+/*
+ * 채움 버튼 (primary / secondary / danger). base는 mapToHex 결과 ({ hex, source })이고
+ * 상태는 source에서 파생. textHex가 없으면 기본 상태까지 함께 고름
+ */
+function buildFilledButton(base, textHex, ctx, mode, name, gm) {
+  const req = ctx.contrast;
+  const key = ["filled", name, mode, base.hex, colorKey(base.source), textHex, req.key].join("|");
+  const { text, stateText, states, disabledText } = cachedButton(key, name, gm, (rec) =>
+    filledButtonParts(base, textHex, req, mode, name, rec)
+  );
+  const fillHex = base.hex;
+  const fill = (bg) => ({ bg, text: stateText, border: bg });
+
+  return buttonTokens({
+    default: { bg: fillHex, text, border: fillHex },
+    hover: fill(states.hover),
+    pressed: fill(states.pressed),
+    focus: { bg: fillHex, text, border: ctx.focusRing },
+    selected: fill(states.selected),
+    loading: fill(states.loading),
+    disabled: { bg: states.disabled, text: disabledText, border: states.disabled },
+  });
+}
+
+// 채움 버튼의 상태 채움과 텍스트 (focus ring과 무관한 부분만, cachedButton으로 캐시)
+function filledButtonParts(base, textHex, req, mode, name, gm) {
+  const scratch = { ...gm, gamut: "srgb", mapped: [], wide: {} };
+  const colors = {};
+  const preview = {};
+  for (const [state, key] of Object.entries(BUTTON_STATE_KEYS)) {
+    colors[state] = fillStateColor(base.source, state, mode);
+    preview[state] = mapToHex(colors[state], `${name}.${key}`, scratch).hex;
+  }
+  const stateFills = FILLED_TEXT_STATES.map((state) => preview[state]);
+  const text = textHex ?? textOnFills([base.hex, ...stateFills], undefined, req);
+  const stateText = textOnFills(stateFills, text, req);
+
+  // 어떤 텍스트도 기준을 못 넘는 상태 채움은 L을 옮김 (실패하는 쌍을 내보내지 않도록)
+  const states = {};
+  for (const [state, key] of Object.entries(BUTTON_STATE_KEYS)) {
+    const color = FILLED_TEXT_STATES.includes(state)
+      ? fillBehindText(colors[state], stateText, req, `${name}.${key}`, gm)
+      : colors[state];
+    states[state] = mapToHex(color, `${name}.${key}`, gm).hex;
+  }
+  const disabledText = deriveDisabledText(
+    states.disabled,
+    base.source.H,
+    req,
+    mode,
+    `${name}.disabledText`,
+    gm
+  );
+  for (const [state, key] of Object.entries(BUTTON_STATE_KEYS)) {
+    shareWide(gm, name, key, buttonKey(state, "Border"));
+  }
+  return { text, stateText, states, disabledText };
+}
+
+/*
+ * 배경 위 버튼 (tertiary = ghost, outline). 채움 없이 accent(mapToHex 결과)의 틴트로 상태를
+ * 표시하고, outline은 배경 대비 UI 기준을 넘긴 accent 테두리(비활성은 neutral border)를 가짐.
+ */
+function buildTintButton(base, bgHex, ctx, mode, name, gm) {
+  const req = ctx.contrast;
+  const key = ["tint", name, mode, colorKey(base.source), bgHex, ctx.outlined, req.key].join("|");
+  const { hover, pressed, selected, text, disabledText, outline } = cachedButton(
+    key,
+    name,
+    gm,
+    (rec) => tintButtonParts(base.source, bgHex, ctx.outlined, req, mode, name, rec)
+  );
+  const edge = (bg) => outline || bg;
+
+  return buttonTokens({
+    default: { bg: bgHex, text, border: edge(bgHex) },
+    hover: { bg: hover, text, border: edge(hover) },
+    pressed: { bg: pressed, text, border: edge(pressed) },
+    focus: { bg: bgHex, text, border: ctx.focusRing },
+    selected: { bg: selected, text, border: edge(selected) },
+    loading: { bg: bgHex, text, border: edge(bgHex) },
+    disabled: { bg: bgHex, text: disabledText, border: ctx.outlined ? ctx.border : bgHex },
+  });
+}
+
+// 틴트 버튼의 틴트·텍스트·outline 테두리 (cachedButton으로 캐시)
+function tintButtonParts(accent, bgHex, outlined, req, mode, name, gm) {
+  const tint = (state, amount) => deriveTint(accent, bgHex, amount, `${name}.${state}Bg`, gm);
+  const hover = tint("hover", 0.08);
+  const pressed = tint("pressed", 0.14);
+  const selected = tint("selected", 0.2);
+  const text = readableOn(
+    accent,
+    [bgHex, hover, pressed, selected],
+    req.normal,
+    req,
+    mode,
+    `${name}.text`,
+    gm
+  );
+  const disabledText = deriveDisabledText(bgHex, accent.H, req, mode, `${name}.disabledText`, gm);
+  const outline = outlined && readableOn(accent, [bgHex], req.ui, req, mode, `${name}.border`, gm);
+  for (const state of ["hover", "pressed", "focus", "selected", "loading"]) {
+    shareWide(gm, name, "text", buttonKey(state, "Text"));
+  }
+  for (const state of ["hover", "pressed", "selected"]) {
+    shareWide(gm, name, outline ? "border" : buttonKey(state, "Bg"), buttonKey(state, "Border"));
+  }
+  if (outline) shareWide(gm, name, "border", "loadingBorder");
+  return { hover, pressed, selected, text, disabledText, outline };
+}
+
+function deriveSubtleBg(base, bgHex, mode, name, gm) {
   const bg = hexToOklch(bgHex);
 
   const targetL = clamp(
@@ -297,35 +1189,141 @@ function deriveSubtleBg(baseHex, bgHex, mode) {
   );
   const C = Math.min(0.05, Math.max(0.02, base.C * 0.35));
 
-  return oklchToHex(lch(targetL, C, base.H)).hex;
+  return mapToHex(lch(targetL, C, base.H), name, gm).hex;
 }
 
-function deriveBorderFrom(bgOrSurfaceHex, mode, deltaL, hue) {
+function deriveBorderFrom(bgOrSurfaceHex, mode, deltaL, hue, name, gm) {
   const ref = hexToOklch(bgOrSurfaceHex);
   const L = clamp(ref.L + (mode === "light" ? -deltaL : deltaL), 0, 1);
   const C = Math.min(0.02, Math.max(0.004, ref.C));
-  return oklchToHex(lch(L, C, hue)).hex;
+  return mapToHex(lch(L, C, hue), name, gm).hex;
 }
 
-function deriveFocusRing(fromHex, mode, cBoost, targetL) {
+function deriveFocusRing(fromHex, mode, cBoost, targetL, name, gm) {
   const src = hexToOklch(fromHex);
   const C = clamp(src.C + cBoost, 0.08, 0.26);
   const L = clamp(targetL, 0.25, 0.85);
-  return oklchToHex(lch(L, C, src.H)).hex;
+  return mapToHex(lch(L, C, src.H), name, gm).hex;
 }
 
-function buildTokens(params, mode, primaryHexFixed) {
+/* -----------------------------
+   Elevation (surface levels / overlay / backdrop)
+------------------------------ */
+// level0 = background, level1~5, overlay(팝오버·메뉴)는 한 단계씩 surface 방향으로 이동
+const ELEVATION_KEYS = ["level0", "level1", "level2", "level3", "level4", "level5", "overlay"];
+// 인접 단계의 최소 ΔL (이보다 가까우면 구분되지 않는 것으로 봄)
+const ELEVATION_MIN_STEP = 0.012;
+const BACKDROP_ALPHA = { light: 0.48, dark: 0.64 };
+
+function elevationL(params, mode, step) {
+  const dir = mode === "light" ? -1 : 1;
+  return clamp(params.bgL + dir * step * params.elevationStepL, 0, 1);
+}
+
+const ELEVATION_LIMIT_STEPS = 8;
+
+/*
+ * 단계 간격 상한. 가장 높은 단계(overlay)에서도 텍스트가 기준을 넘도록
+ * elevationStepL을 [min(ELEVATION_MIN_STEP, 원래 값), 원래 값] 안에서 이분 탐색으로 줄임.
+ * texts: [[hex, min]] (본문 텍스트는 normal, tertiary는 large)
+ */
+function elevationStepLimit(params, mode, texts, req, gm) {
+  const top = ELEVATION_KEYS.length - 1;
+  const C = params.neutralC * (1 + 0.05 * top);
+  const scratch = { ...gm, gamut: "srgb", mapped: [], wide: {} };
+  const sims = req.cvdModes.map((m) => [m, texts.map(([hex, min]) => [applyCvd(hex, m), min])]);
+  const passes = (stepL) => {
+    const L = elevationL({ ...params, elevationStepL: stepL }, mode, top);
+    const hex = mapToHex(lch(L, C, params.neutralHue), "elevation.overlay", scratch).hex;
+    return sims.every(([m, fgs]) => {
+      const bg = applyCvd(hex, m);
+      return fgs.every(([fg, min]) => measureContrast(fg, bg, req.model).value >= min);
+    });
+  };
+
+  let hi = params.elevationStepL;
+  if (passes(hi)) return hi;
+  let lo = Math.min(ELEVATION_MIN_STEP, hi);
+  if (!passes(lo)) return lo;
+  for (let i = 0; i < ELEVATION_LIMIT_STEPS; i++) {
+    const mid = (lo + hi) / 2;
+    if (passes(mid)) lo = mid;
+    else hi = mid;
+  }
+  return lo;
+}
+
+function withAlpha(hex, alpha) {
+  const a = Math.round(clamp(alpha, 0, 1) * 255);
+  return hex + a.toString(16).padStart(2, "0").toUpperCase();
+}
+
+/*
+ * 중성 hue/chroma에서 elevation 그룹을 만듦. modalBackdrop은 "#RRGGBBAA",
+ * shadowColor는 불투명 (투명도는 그림자 정의 쪽에서 적용).
+ * 반환: { tokens, entries } — entries는 gamut 집계용 mapToHex 결과
+ */
+function buildElevation(params, mode, bgHex, gm) {
+  const tokens = { level0: bgHex };
+  const entries = [];
+  ELEVATION_KEYS.forEach((key, step) => {
+    if (step === 0) return;
+    const C = params.neutralC * (1 + 0.05 * step);
+    const e = mapToHex(
+      lch(elevationL(params, mode, step), C, params.neutralHue),
+      `elevation.${key}`,
+      gm
+    );
+    tokens[key] = e.hex;
+    entries.push(e);
+  });
+
+  const backdropName = "elevation.modalBackdrop";
+  const backdrop = lch(mode === "light" ? 0.2 : 0.06, params.neutralC * 0.5, params.neutralHue);
+  const alpha = BACKDROP_ALPHA[mode];
+  tokens.modalBackdrop = withAlpha(mapToHex(backdrop, backdropName, gm).hex, alpha);
+  if (gm.wide[backdropName]) {
+    gm.wide[backdropName] = wideColor(gamutMapOklch(backdrop, "p3"), alpha);
+  }
+
+  tokens.shadowColor = mapToHex(
+    lch(mode === "light" ? 0.22 : 0.04, params.neutralC * 0.6, params.neutralHue),
+    "elevation.shadowColor",
+    gm
+  ).hex;
+
+  return { tokens, entries };
+}
+
+/*
+ * ctx:
+ * - gamut: "srgb" | "p3"
+ * - schema: "default" | "material3"
+ * - locked: { 토큰 경로: hex } (이 모드에서 고정할 값)
+ * - roles: normalizeRoles 결과 (사용자 역할)
+ * - contrast: contrastRequirements 결과 (파생 버튼 텍스트·테두리의 목표, 기본 AA / WCAG 2)
+ */
+function buildTokens(params, mode, primaryHexFixed, ctx = {}) {
+  const gamut = ctx.gamut ?? "srgb";
+  const locked = ctx.locked ?? {};
   let gamutCount = 0;
+  const gm = { gamut, mapped: [], wide: {}, locked };
 
-  const bg = oklchToHex(lch(params.bgL, params.neutralC, params.neutralHue));
-  const surface = oklchToHex(
+  const bg = mapToHex(
+    lch(params.bgL, params.neutralC, params.neutralHue),
+    "background",
+    gm
+  );
+  const surface = mapToHex(
     lch(
       clamp(params.bgL + (mode === "light" ? -params.surfaceDeltaL : params.surfaceDeltaL), 0, 1),
       params.neutralC * 1.05,
       params.neutralHue
-    )
+    ),
+    "surface",
+    gm
   );
-  const surface2 = oklchToHex(
+  const surface2 = mapToHex(
     lch(
       clamp(
         params.bgL + (mode === "light" ? -params.surface2DeltaL : params.surface2DeltaL),
@@ -334,61 +1332,89 @@ function buildTokens(params, mode, primaryHexFixed) {
       ),
       params.neutralC * 1.1,
       params.neutralHue
-    )
+    ),
+    "surface2",
+    gm
   );
 
-  const textPrimary = oklchToHex(
-    lch(params.textPrimaryL, params.neutralC * 0.12, params.neutralHue)
+  const textPrimary = mapToHex(
+    lch(params.textPrimaryL, params.neutralC * 0.12, params.neutralHue),
+    "textPrimary",
+    gm
   );
-  const textSecondary = oklchToHex(
-    lch(params.textSecondaryL, params.neutralC * 0.14, params.neutralHue)
+  const textSecondary = mapToHex(
+    lch(params.textSecondaryL, params.neutralC * 0.14, params.neutralHue),
+    "textSecondary",
+    gm
   );
-  const textTertiary = oklchToHex(
-    lch(params.textTertiaryL, params.neutralC * 0.16, params.neutralHue)
+  const textTertiary = mapToHex(
+    lch(params.textTertiaryL, params.neutralC * 0.16, params.neutralHue),
+    "textTertiary",
+    gm
   );
 
-  const secondary = oklchToHex(lch(params.secondaryL, params.secondaryC, params.secondaryHue));
-  const accent = oklchToHex(lch(params.accentL, params.accentC, params.accentHue));
+  const secondary = mapToHex(
+    lch(params.secondaryL, params.secondaryC, params.secondaryHue),
+    "secondary",
+    gm
+  );
+  const accent = mapToHex(
+    lch(params.accentL, params.accentC, params.accentHue),
+    "accent",
+    gm
+  );
 
-  const primaryHex = normalizeHex(primaryHexFixed);
+  const primaryHex = normalizeHex(locked.primary ?? primaryHexFixed);
   const primaryLch = hexToOklch(primaryHex);
+  const primaryBase = { hex: primaryHex, source: primaryLch };
 
-  const border = deriveBorderFrom(surface.hex, mode, params.borderDeltaL, params.neutralHue);
-  const divider = deriveBorderFrom(surface2.hex, mode, params.dividerDeltaL, params.neutralHue);
+  const border = deriveBorderFrom(
+    surface.hex,
+    mode,
+    params.borderDeltaL,
+    params.neutralHue,
+    "border",
+    gm
+  );
+  const divider = deriveBorderFrom(
+    surface2.hex,
+    mode,
+    params.dividerDeltaL,
+    params.neutralHue,
+    "divider",
+    gm
+  );
 
   const focusSourceHex = params.focusFrom === "primary" ? primaryHex : accent.hex;
-  const focusRing = deriveFocusRing(focusSourceHex, mode, params.focusCBoost, params.focusL);
-
-  const primaryText = pickTextOn(primaryHex);
-  const primaryStates = deriveFillStates(primaryHex, mode);
-  const primaryDisabledText = mode === "light" ? "#9AA0A6" : "#6B7280";
-
-  const secondaryTextOn = pickTextOn(secondary.hex);
-  const secondaryStates = deriveFillStates(secondary.hex, mode);
-  const secondaryDisabledText = primaryDisabledText;
-
-  const buttonPrimary = {
-    bg: primaryHex,
-    text: primaryText,
-    hoverBg: primaryStates.hover,
-    pressedBg: primaryStates.pressed,
-    disabledBg: primaryStates.disabled,
-    disabledText: secondaryDisabledText,
-  };
-
-  const buttonSecondary = {
-    bg: secondary.hex,
-    text: secondaryTextOn,
-    hoverBg: secondaryStates.hover,
-    pressedBg: secondaryStates.pressed,
-    disabledBg: secondaryStates.disabled,
-    disabledText: secondaryDisabledText,
-  };
+  const focusRing = deriveFocusRing(
+    focusSourceHex,
+    mode,
+    params.focusCBoost,
+    params.focusL,
+    "focusRing",
+    gm
+  );
 
-  const successBase = oklchToHex(lch(params.successL, params.semanticC, params.successHue));
-  const warningBase = oklchToHex(lch(params.warningL, params.semanticC, params.warningHue));
-  const dangerBase = oklchToHex(lch(params.dangerL, params.semanticC, params.dangerHue));
-  const infoBase = oklchToHex(lch(params.infoL, params.semanticC, params.infoHue));
+  const successBase = mapToHex(
+    lch(params.successL, params.semanticC, params.successHue),
+    "semantic.success.base",
+    gm
+  );
+  const warningBase = mapToHex(
+    lch(params.warningL, params.semanticC, params.warningHue),
+    "semantic.warning.base",
+    gm
+  );
+  const dangerBase = mapToHex(
+    lch(params.dangerL, params.semanticC, params.dangerHue),
+    "semantic.danger.base",
+    gm
+  );
+  const infoBase = mapToHex(
+    lch(params.infoL, params.semanticC, params.infoHue),
+    "semantic.info.base",
+    gm
+  );
 
   const semList = [
     bg,
@@ -404,24 +1430,96 @@ function buildTokens(params, mode, primaryHexFixed) {
     dangerBase,
     infoBase,
   ];
-  for (const e of semList) if (!e.inGamut) gamutCount += 1;
+  // p3 모드에서는 sRGB fallback 매핑을 전제로 P3 밖인 경우만 벌점
+  for (const e of semList) if (!(gamut === "p3" ? e.inP3 : e.inGamut)) gamutCount += 1;
 
   const sem = {
-    success: buildSemanticStates(successBase.hex, bg.hex, mode),
-    warning: buildSemanticStates(warningBase.hex, bg.hex, mode),
-    danger: buildSemanticStates(dangerBase.hex, bg.hex, mode),
-    info: buildSemanticStates(infoBase.hex, bg.hex, mode),
+    success: buildSemanticStates(successBase, bg.hex, mode, "success", gm),
+    warning: buildSemanticStates(warningBase, bg.hex, mode, "warning", gm),
+    danger: buildSemanticStates(dangerBase, bg.hex, mode, "danger", gm),
+    info: buildSemanticStates(infoBase, bg.hex, mode, "info", gm),
   };
 
-  const secondaryText = secondaryTextOn;
+  const primaryText = pickTextOn(primaryHex);
+  const secondaryText = pickTextOn(secondary.hex);
   const accentText = pickTextOn(accent.hex);
 
+  // danger 버튼은 잠긴 semantic.danger.base를 따라감 (primary와 같은 방식)
+  const danger = { hex: normalizeHex(dangerBase.hex), source: dangerBase.source };
+  const contrast = ctx.contrast ?? contrastRequirements();
+  const buttonCtx = { focusRing, border, contrast };
+
+  const buttonPrimary = buildFilledButton(
+    primaryBase,
+    primaryText,
+    buttonCtx,
+    mode,
+    "buttonPrimary",
+    gm
+  );
+  const buttonSecondary = buildFilledButton(
+    secondary,
+    secondaryText,
+    buttonCtx,
+    mode,
+    "buttonSecondary",
+    gm
+  );
+  const buttonTertiary = buildTintButton(
+    primaryBase,
+    bg.hex,
+    { ...buttonCtx, outlined: false },
+    mode,
+    "buttonTertiary",
+    gm
+  );
+  const buttonOutline = buildTintButton(
+    primaryBase,
+    bg.hex,
+    { ...buttonCtx, outlined: true },
+    mode,
+    "buttonOutline",
+    gm
+  );
+  const buttonDanger = buildFilledButton(
+    danger,
+    undefined,
+    buttonCtx,
+    mode,
+    "buttonDanger",
+    gm
+  );
+
+  // 단계 간격은 텍스트 대비가 허락하는 만큼만 (Linfo도 같은 값을 씀)
+  const elevationParams = {
+    ...params,
+    elevationStepL: elevationStepLimit(
+      params,
+      mode,
+      [
+        [textPrimary.hex, contrast.normal],
+        [textSecondary.hex, contrast.normal],
+        [textTertiary.hex, contrast.large],
+      ],
+      contrast,
+      gm
+    ),
+  };
+  const elevation = buildElevation(
+    elevationParams,
+    mode,
+    normalizeHex(locked.background ?? bg.hex),
+    gm
+  );
+  for (const e of elevation.entries) if (!(gamut === "p3" ? e.inP3 : e.inGamut)) gamutCount += 1;
+
   const tokens = {
     mode,
 
     background: bg.hex,
     surface: surface.hex,
     surface2: surface2.hex,
+    elevation: elevation.tokens,
 
     textPrimary: textPrimary.hex,
     textSecondary: textSecondary.hex,
@@ -442,10 +1540,21 @@ function buildTokens(params, mode, primaryHexFixed) {
 
     buttonPrimary,
     buttonSecondary,
+    buttonTertiary,
+    buttonOutline,
+    buttonDanger,
 
     semantic: sem,
   };
 
+  if (ctx.schema === "material3") {
+    tokens.material3 = buildMaterial3(params, mode, primaryHex, gm);
+  }
+  for (const e of buildCustomRoles(tokens, ctx.roles ?? [], params, mode, gm)) {
+    if (!(gamut === "p3" ? e.inP3 : e.inGamut)) gamutCount += 1;
+  }
+  applyLocks(tokens, locked);
+
   const Linfo = {
     background: params.bgL,
     surface: clamp(
@@ -465,20 +1574,40 @@ function buildTokens(params, mode, primaryHexFixed) {
     secondary: params.secondaryL,
     accent: params.accentL,
   };
+  ELEVATION_KEYS.forEach((key, step) => {
+    Linfo[`elevation.${key}`] =
+      step === 0 ? Linfo.background : elevationL(elevationParams, mode, step);
+  });
+  for (const k of Object.keys(Linfo)) if (locked[k]) Linfo[k] = hexToOklch(locked[k]).L;
+  if (locked.background) Linfo["elevation.level0"] = Linfo.background;
 
-  return { tokens, gamutCount, Linfo };
+  return {
+    tokens,
+    gamut: { target: gamut, count: gamutCount, mapped: gm.mapped, wide: gm.wide },
+    Linfo,
+  };
 }
 
-function buildSemanticStates(baseHex, bgHex, mode) {
-  const base = normalizeHex(baseHex);
+// baseEntry: semantic base의 mapToHex 결과. subtleBg·상태는 매핑 전 source에서 파생
+function buildSemanticStates(baseEntry, bgHex, mode, role, gm) {
+  const base = normalizeHex(baseEntry.hex);
   const onBaseText = pickTextOn(base);
 
-  const subtleBg = deriveSubtleBg(base, bgHex, mode);
-  const subtleText = normalizeHex(base);
+  const name = `semantic.${role}`;
+  shareWide(gm, name, "base", "subtleText");
+  const subtleBg = deriveSubtleBg(baseEntry.source, bgHex, mode, `${name}.subtleBg`, gm);
+  const subtleText = base;
 
-  const border = deriveBorderFrom(subtleBg, mode, 0.04, hexToOklch(base).H);
+  const border = deriveBorderFrom(
+    subtleBg,
+    mode,
+    0.04,
+    baseEntry.source.H,
+    `${name}.border`,
+    gm
+  );
 
-  const states = deriveFillStates(base, mode);
+  const states = deriveFillStates(baseEntry.source, mode, name, gm);
 
   return {
     base,
@@ -491,103 +1620,705 @@ function buildSemanticStates(baseHex, bgHex, mode) {
   };
 }
 
+/* -----------------------------
+   Custom roles (schema extension)
+------------------------------ */
+/*
+ * roles: { [name]: recipe } — 기존 역할에서 OKLCH로 파생되는 사용자 역할.
+ * recipe:
+ * - from: 기준 토큰 경로 (L/C/H의 출발점, 앞서 선언한 사용자 역할도 가능)
+ * - deltaL: L 이동량. 숫자 또는 { light, dark } (기본 0)
+ * - chroma: 기준 chroma 배율 (기본 1)
+ * - hue: 색상 출처. 토큰 경로 또는 각도(숫자). 기본은 from
+ * - hueShift: 색상 회전 (도, 기본 0)
+ * - range: 최적화가 L을 더 움직일 수 있는 폭 (기본 0.08, 0이면 고정)
+ * - contrast: [{ bg | fg: 토큰 경로, min, mode? }] — 이 역할이 반대쪽이 되는 대비 요구
+ */
+const ROLE_NAME = /^[a-z][A-Za-z0-9]*$/;
+
+function normalizeRoles(roles) {
+  if (!roles) return [];
+  if (typeof roles !== "object" || Array.isArray(roles)) {
+    throw new Error("roles must be an object keyed by role name.");
+  }
+  return Object.entries(roles).map(([name, r]) => {
+    const where = `roles.${name}`;
+    if (!ROLE_NAME.test(name)) throw new Error(`${where}: name must be camelCase letters/digits.`);
+    if (!r || typeof r.from !== "string") {
+      throw new Error(`${where}: from (token path) is required.`);
+    }
+    const dL = r.deltaL ?? 0;
+    const deltaL = typeof dL === "number" ? { light: dL, dark: dL } : dL;
+    if (typeof deltaL.light !== "number" || typeof deltaL.dark !== "number") {
+      throw new Error(`${where}: deltaL must be a number or { light, dark }.`);
+    }
+    if (r.hue !== undefined && typeof r.hue !== "string" && typeof r.hue !== "number") {
+      throw new Error(`${where}: hue must be a token path or an angle.`);
+    }
+    const contrast = (r.contrast ?? []).map((c, i) => {
+      if (!c || (typeof c.bg === "string") === (typeof c.fg === "string")) {
+        throw new Error(`${where}.contrast[${i}]: give exactly one of bg / fg.`);
+      }
+      if (typeof c.min !== "number" || !(c.min > 0)) {
+        throw new Error(`${where}.contrast[${i}]: min must be a positive number.`);
+      }
+      const fg = c.fg ?? name;
+      const bg = c.bg ?? name;
+      return { fg, bg, min: c.min, mode: c.mode, name: `${fg}/${bg} (role ${c.min})` };
+    });
+    return {
+      name,
+      from: r.from,
+      deltaL,
+      chroma: r.chroma ?? 1,
+      hue: r.hue,
+      hueShift: r.hueShift ?? 0,
+      range: r.range ?? 0.08,
+      contrast: normalizeRules(contrast),
+    };
+  });
+}
+
+function roleSource(tokens, path, where) {
+  const hex = tokenAt(tokens, path);
+  if (typeof hex !== "string") throw new Error(`${where}: unknown token "${path}".`);
+  return hexToOklch(hex);
+}
+
+// 선언 순서대로 파생. params.roles[name].dL은 최적화가 더하는 L 오프셋
+function buildCustomRoles(tokens, roles, params, mode, gm) {
+  const out = [];
+  for (const role of roles) {
+    const where = `roles.${role.name}`;
+    if (tokens[role.name] !== undefined) {
+      throw new Error(`${where}: conflicts with a built-in token.`);
+    }
+    const src = roleSource(tokens, role.from, where);
+    let H = src.H;
+    if (typeof role.hue === "number") H = role.hue;
+    else if (typeof role.hue === "string") H = roleSource(tokens, role.hue, where).H;
+    const offset = params.roles?.[role.name]?.dL ?? 0;
+    const c = lch(src.L + role.deltaL[mode] + offset, src.C * role.chroma, H + role.hueShift);
+    const mapped = mapToHex(c, role.name, gm);
+    tokens[role.name] = mapped.hex;
+    out.push(mapped);
+  }
+  return out;
+}
+
+/* -----------------------------
+   Material 3 schema
+------------------------------ */
+// M3 tone(CIELAB L*) -> OKLab L. 무채색에서 OKLab L = cbrt(Y)이므로 정확히 대응.
+function toneL(tone) {
+  return tone > 8 ? (tone + 16) / 116 : Math.cbrt(tone / 903.2962962);
+}
+
+const M3_TONES = {
+  light: {
+    onKey: 100,
+    container: 90,
+    onContainer: 10,
+    key: 40,
+    inversePrimary: 80,
+    surface: 98,
+    surfaceDim: 87,
+    surfaceBright: 98,
+    surfaceContainerLowest: 100,
+    surfaceContainerLow: 96,
+    surfaceContainer: 94,
+    surfaceContainerHigh: 92,
+    surfaceContainerHighest: 90,
+    onSurface: 10,
+    surfaceVariant: 90,
+    onSurfaceVariant: 30,
+    outline: 50,
+    outlineVariant: 80,
+    inverseSurface: 20,
+    inverseOnSurface: 95,
+  },
+  dark: {
+    onKey: 20,
+    container: 30,
+    onContainer: 90,
+    key: 80,
+    inversePrimary: 40,
+    surface: 6,
+    surfaceDim: 6,
+    surfaceBright: 24,
+    surfaceContainerLowest: 4,
+    surfaceContainerLow: 10,
+    surfaceContainer: 12,
+    surfaceContainerHigh: 17,
+    surfaceContainerHighest: 22,
+    onSurface: 90,
+    surfaceVariant: 30,
+    onSurfaceVariant: 80,
+    outline: 60,
+    outlineVariant: 30,
+    inverseSurface: 90,
+    inverseOnSurface: 20,
+  },
+};
+
+const M3_SURFACE_ROLES = [
+  "surfaceDim",
+  "surfaceBright",
+  "surfaceContainerLowest",
+  "surfaceContainerLow",
+  "surfaceContainer",
+  "surfaceContainerHigh",
+  "surfaceContainerHighest",
+];
+
+/*
+ * 고정 primary와 최적화 파라미터(hue/chroma)로 M3 역할 전체를 생성.
+ * primary는 브랜드 고정이므로 onPrimary만 대비 기준으로 고르고,
+ * 나머지 key 색(secondary/tertiary/error)과 컨테이너·표면은 M3 tone 표를 따름.
+ */
+function buildMaterial3(params, mode, primaryHex, gm) {
+  const T = M3_TONES[mode];
+  const tone = (name, t, C, H) =>
+    mapToHex(lch(toneL(t), C, H), `material3.${name}`, gm).hex;
+
+  const p = hexToOklch(primaryHex);
+  const keys = {
+    primary: { C: p.C, H: p.H },
+    secondary: { C: params.secondaryC, H: params.secondaryHue },
+    tertiary: { C: params.accentC, H: params.accentHue },
+    error: { C: params.semanticC, H: params.dangerHue },
+  };
+  const nC = params.neutralC;
+  const nvC = Math.min(0.04, params.neutralC * 2);
+  const nH = params.neutralHue;
+
+  const m3 = {};
+  for (const [role, k] of Object.entries(keys)) {
+    const up = role.charAt(0).toUpperCase() + role.slice(1);
+    const key = role === "primary" ? primaryHex : tone(role, T.key, k.C, k.H);
+    m3[role] = key;
+    m3[`on${up}`] =
+      role === "primary" ? pickTextOn(primaryHex) : tone(`on${up}`, T.onKey, k.C * 0.2, k.H);
+    m3[`${role}Container`] = tone(`${role}Container`, T.container, k.C, k.H);
+    m3[`on${up}Container`] = tone(`on${up}Container`, T.onContainer, k.C, k.H);
+  }
+
+  m3.surface = tone("surface", T.surface, nC, nH);
+  m3.onSurface = tone("onSurface", T.onSurface, nC, nH);
+  for (const role of M3_SURFACE_ROLES) m3[role] = tone(role, T[role], nC, nH);
+  m3.surfaceVariant = tone("surfaceVariant", T.surfaceVariant, nvC, nH);
+  m3.onSurfaceVariant = tone("onSurfaceVariant", T.onSurfaceVariant, nvC, nH);
+  m3.outline = tone("outline", T.outline, nvC, nH);
+  m3.outlineVariant = tone("outlineVariant", T.outlineVariant, nvC, nH);
+  m3.inverseSurface = tone("inverseSurface", T.inverseSurface, nC, nH);
+  m3.inverseOnSurface = tone("inverseOnSurface", T.inverseOnSurface, nC, nH);
+  m3.inversePrimary = tone("inversePrimary", T.inversePrimary, p.C, p.H);
+  m3.background = m3.surface;
+  m3.onBackground = m3.onSurface;
+  m3.shadow = "#000000";
+  m3.scrim = "#000000";
+
+  return m3;
+}
+
+// M3 스펙이 정의하는 on-X / X 쌍 (전부 본문 텍스트 기준)
+function material3Pairs(m3) {
+  const pairs = [];
+  for (const role of ["primary", "secondary", "tertiary", "error"]) {
+    const up = role.charAt(0).toUpperCase() + role.slice(1);
+    pairs.push([`on${up}`, role]);
+    pairs.push([`on${up}Container`, `${role}Container`]);
+  }
+  pairs.push(["onSurface", "surface"]);
+  for (const role of M3_SURFACE_ROLES) pairs.push(["onSurface", role]);
+  pairs.push(["onSurfaceVariant", "surfaceVariant"]);
+  pairs.push(["onSurfaceVariant", "surface"]);
+  pairs.push(["onBackground", "background"]);
+  pairs.push(["inverseOnSurface", "inverseSurface"]);
+  pairs.push(["inversePrimary", "inverseSurface"]);
+  return pairs.filter(([fg, bg]) => m3[fg] && m3[bg]);
+}
+
 function normalizeHex(hex) {
   const h = hex.trim().toUpperCase();
   if (!h.startsWith("#")) return ("#" + h).toUpperCase();
   return h;
 }
 
+/* -----------------------------
+   Token locks
+------------------------------ */
+// 경로 분해 캐시 (검사마다 같은 경로를 반복해서 찾음)
+const PATH_KEYS = new Map();
+
+function tokenAt(tokens, path) {
+  let keys = PATH_KEYS.get(path);
+  if (!keys) {
+    keys = path.split(".");
+    if (PATH_KEYS.size >= 4096) PATH_KEYS.clear();
+    PATH_KEYS.set(path, keys);
+  }
+  let node = tokens;
+  for (const k of keys) {
+    if (node == null) return undefined;
+    node = node[k];
+  }
+  return node;
+}
+
+/*
+ * locked: { light: { "background": "#…", "semantic.danger.base": "#…" }, dark: {…} }
+ * -> 모드별 { 경로: 정규화된 hex }
+ */
+function normalizeLocks(locked) {
+  const out = { light: {}, dark: {} };
+  if (!locked) return out;
+  for (const [mode, entries] of Object.entries(locked)) {
+    if (!out[mode]) throw new Error(`locked: unknown mode "${mode}" (expected light | dark).`);
+    for (const [path, hex] of Object.entries(entries || {})) {
+      if (typeof hex !== "string" || !/^#?[0-9A-Fa-f]{6}$/.test(hex.trim())) {
+        throw new Error(`locked.${mode}.${path}: invalid hex ${JSON.stringify(hex)}.`);
+      }
+      out[mode][path] = normalizeHex(hex);
+    }
+  }
+  return out;
+}
+
+// 기존 색 토큰만 바꿈. 경로가 없으면 false
+function setTokenAt(tokens, path, hex) {
+  const keys = path.split(".");
+  const parent = keys.length > 1 ? tokenAt(tokens, keys.slice(0, -1).join(".")) : tokens;
+  const last = keys[keys.length - 1];
+  if (path === "mode" || !parent || typeof parent[last] !== "string") return false;
+  parent[last] = hex;
+  return true;
+}
+
+// mapToHex를 거치지 않는 토큰(흑/백 텍스트, 복사값 등)까지 잠긴 값으로 덮어씀
+function applyLocks(tokens, locked) {
+  for (const [path, hex] of Object.entries(locked)) {
+    if (!setTokenAt(tokens, path, hex)) throw new Error(`locked: unknown token "${path}".`);
+  }
+}
+
+// subtleText는 base의 복사본이므로 base가 잠기면 함께 잠긴 것으로 봄
+function isLocked(path, locked) {
+  if (locked[path]) return true;
+  const m = /^(semantic\.\w+)\.subtleText$/.exec(path);
+  return !!m && !!locked[`${m[1]}.base`];
+}
+
+// 잠금 또는 브랜드 primary로 값이 고정된 토큰
+function isFixed(path, locked) {
+  return isLocked(path, locked) || path === "primary" || path === "buttonPrimary.bg";
+}
+
+/*
+ * 실패한 검사가 잠금 때문에 통과 불가능한지 판정.
+ * - "locked-pair": 양쪽이 모두 고정이고 적어도 한쪽이 잠김
+ * - "unreachable": 한쪽이 잠겼고 반대쪽을 흑/백으로 바꿔도 기준 미달
+ */
+function lockConflict(tokens, fgPath, bgPath, min, cvdMode, model, locked) {
+  const fgLocked = isLocked(fgPath, locked);
+  const bgLocked = isLocked(bgPath, locked);
+  if (!fgLocked && !bgLocked) return null;
+  if (isFixed(fgPath, locked) && isFixed(bgPath, locked)) return "locked-pair";
+
+  const fixedHex = applyCvd(tokenAt(tokens, fgLocked ? fgPath : bgPath), cvdMode);
+  const best = Math.max(
+    ...["#FFFFFF", "#000000"].map(
+      (other) =>
+        measureContrast(fgLocked ? fixedHex : other, fgLocked ? other : fixedHex, model).value
+    )
+  );
+  return best < min ? "unreachable" : null;
+}
+
+// 파라미터 -> 그 파라미터가 직접 만드는 토큰. 모두 잠기면 최적화에서 제외.
+const ELEVATION_TOKENS = ELEVATION_KEYS.slice(1).map((k) => `elevation.${k}`);
+const NEUTRAL_TOKENS = [
+  ...ELEVATION_TOKENS,
+  "elevation.modalBackdrop",
+  "elevation.shadowColor",
+];
+
+const PARAM_TOKENS = {
+  neutralHue: [
+    "background",
+    "surface",
+    "surface2",
+    "textPrimary",
+    "textSecondary",
+    "textTertiary",
+    "border",
+    "divider",
+    ...NEUTRAL_TOKENS,
+  ],
+  neutralC: [
+    "background",
+    "surface",
+    "surface2",
+    "textPrimary",
+    "textSecondary",
+    "textTertiary",
+    ...NEUTRAL_TOKENS,
+  ],
+  bgL: ["background", "surface", "surface2", ...ELEVATION_TOKENS],
+  elevationStepL: ELEVATION_TOKENS,
+  surfaceDeltaL: ["surface"],
+  surface2DeltaL: ["surface2"],
+  textPrimaryL: ["textPrimary"],
+  textSecondaryL: ["textSecondary"],
+  textTertiaryL: ["textTertiary"],
+  secondaryHue: ["secondary"],
+  secondaryC: ["secondary"],
+  secondaryL: ["secondary"],
+  accentHue: ["accent"],
+  accentC: ["accent"],
+  accentL: ["accent"],
+  semanticC: SEMANTIC_ROLES.map((r) => `semantic.${r}.base`),
+  ...Object.fromEntries(
+    SEMANTIC_ROLES.flatMap((r) => [
+      [`${r}Hue`, [`semantic.${r}.base`]],
+      [`${r}L`, [`semantic.${r}.base`]],
+    ])
+  ),
+  borderDeltaL: ["border"],
+  dividerDeltaL: ["divider"],
+  focusFrom: ["focusRing"],
+  focusCBoost: ["focusRing"],
+  focusL: ["focusRing"],
+};
+
+// material3 역할도 이 파라미터들로 만들어지므로 schema가 material3이면 고정하지 않음
+const M3_PARAMS = [
+  "neutralHue",
+  "neutralC",
+  "secondaryHue",
+  "secondaryC",
+  "accentHue",
+  "accentC",
+  "semanticC",
+  "dangerHue",
+];
+
+function frozenParams(locked, schema, roles = []) {
+  const frozen = new Set();
+  for (const r of roles) if (locked[r.name]) frozen.add(`roles.${r.name}`);
+  for (const [param, paths] of Object.entries(PARAM_TOKENS)) {
+    if (schema === "material3" && M3_PARAMS.includes(param)) continue;
+    if (paths.every((p) => locked[p])) frozen.add(param);
+  }
+  return frozen;
+}
+
+/* -----------------------------
+   Tonal palettes (50–950)
+------------------------------ */
+export const PALETTE_STEPS = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950];
+
+// 스텝별 기본 OKLCH L. 다크는 50이 가장 어두운 쪽(배경 쪽)이 되도록 뒤집힘.
+const PALETTE_L = {
+  light: [0.975, 0.935, 0.87, 0.79, 0.705, 0.62, 0.54, 0.46, 0.38, 0.3, 0.23],
+  dark: [0.16, 0.2, 0.26, 0.33, 0.41, 0.5, 0.59, 0.68, 0.77, 0.86, 0.93],
+};
+
+function chromaEnvelope(L) {
+  return Math.max(1e-4, L * (1 - L));
+}
+
+/*
+ * 기준색이 가장 가까운 스텝에 정확히 놓이도록 L 커브를 구간별로 재배치하고,
+ * 나머지 스텝은 양 끝으로 갈수록 채도를 줄인 뒤 gamut mapping.
+ */
+export function generatePalette(hex, options = {}) {
+  const mode = options.mode ?? "light";
+  const anchor = options.anchor ?? true;
+  const baseL = PALETTE_L[mode];
+  const src = hexToOklch(normalizeHex(hex));
+
+  let k = -1;
+  let Ls = baseL.slice();
+  if (anchor) {
+    k = 0;
+    for (let i = 1; i < baseL.length; i++) {
+      if (Math.abs(baseL[i] - src.L) < Math.abs(baseL[k] - src.L)) k = i;
+    }
+    const first = baseL[0];
+    const last = baseL[baseL.length - 1];
+    Ls = baseL.map((L, i) => {
+      if (i === k) return src.L;
+      const end = i < k ? first : last;
+      return src.L + ((L - baseL[k]) * (end - src.L)) / (end - baseL[k]);
+    });
+  }
+
+  const scale = {};
+  PALETTE_STEPS.forEach((step, i) => {
+    if (i === k) {
+      scale[step] = normalizeHex(hex);
+      return;
+    }
+    const C = anchor
+      ? Math.min(src.C, (src.C * chromaEnvelope(Ls[i])) / chromaEnvelope(src.L))
+      : src.C;
+    scale[step] = mapToHex(lch(Ls[i], C, src.H)).hex;
+  });
+
+  return { scale, anchorStep: k >= 0 ? PALETTE_STEPS[k] : null };
+}
+
+function buildPalettes(tokens, params, mode) {
+  const neutralHex = mapToHex(lch(0.5, params.neutralC, params.neutralHue)).hex;
+  const sources = {
+    primary: tokens.primary,
+    secondary: tokens.secondary,
+    accent: tokens.accent,
+    neutral: neutralHex,
+    success: tokens.semantic.success.base,
+    warning: tokens.semantic.warning.base,
+    danger: tokens.semantic.danger.base,
+    info: tokens.semantic.info.base,
+  };
+
+  const palette = {};
+  const anchors = {};
+  for (const [role, hex] of Object.entries(sources)) {
+    const res = generatePalette(hex, { mode, anchor: role !== "neutral" });
+    palette[role] = res.scale;
+    if (res.anchorStep != null) anchors[role] = res.anchorStep;
+  }
+  return { palette, anchors };
+}
+
 /* -----------------------------
    Scoring
 ------------------------------ */
-function scoreContrastBase(tokens, target, cvdMode) {
-  const { normal, large } = targetContrast(target);
+function contrastCheck(pair, fg, bg, min, cvdMode, model) {
+  const m = measureContrast(applyCvd(fg, cvdMode), applyCvd(bg, cvdMode), model);
+  const check = { pair, ratio: m.ratio, pass: m.value >= min, mode: cvdMode };
+  if (model === "apca") {
+    check.lc = m.lc;
+    check.polarity = m.polarity;
+    check.minLc = min;
+  }
+  return check;
+}
+
+/*
+ * 토큰 경로로 대비 검사. 검사에 fgToken/bgToken 경로를 남기고,
+ * 잠긴 토큰 때문에 통과할 수 없는 실패면 lockConflict를 표시.
+ */
+function tokenCheck(tokens, pair, fgPath, bgPath, min, cvdMode, model, locked) {
+  const check = contrastCheck(
+    pair,
+    tokenAt(tokens, fgPath),
+    tokenAt(tokens, bgPath),
+    min,
+    cvdMode,
+    model
+  );
+  check.fgToken = fgPath;
+  check.bgToken = bgPath;
+  check.min = min;
+  if (!check.pass && locked) {
+    const conflict = lockConflict(tokens, fgPath, bgPath, min, cvdMode, model, locked);
+    if (conflict) check.lockConflict = conflict;
+  }
+  return check;
+}
+
+function summarizeChecks(checks, model) {
+  const passAll = checks.every((c) => c.pass);
+  const worstRatio = checks.reduce((m, c) => Math.min(m, c.ratio), Infinity);
+  if (model !== "apca") return { passAll, worstRatio };
+  const worstLc = checks.reduce((m, c) => Math.min(m, Math.abs(c.lc)), Infinity);
+  return { passAll, worstRatio, worstLc };
+}
+
+/* 모델 단위의 최저 대비값 (wcag2: ratio, apca: |Lc|) */
+function worstValue(report, model) {
+  return model === "apca" ? report.worstLc : report.worstRatio;
+}
+
+function scoreContrastBase(tokens, target, cvdMode, model = "wcag2", locked = null) {
+  const { normal, large } = targetContrast(target, model);
+  const checks = [];
+
+  const add = (pair, fg, bg, min) => {
+    checks.push(tokenCheck(tokens, pair, fg, bg, min, cvdMode, model, locked));
+  };
+
+  add("textPrimary/background (normal)", "textPrimary", "background", normal);
+  add("textPrimary/surface (normal)", "textPrimary", "surface", normal);
+  add("textSecondary/background (normal)", "textSecondary", "background", normal);
+  add("textSecondary/surface (normal)", "textSecondary", "surface", normal);
+  add("textTertiary/surface (normal)", "textTertiary", "surface", large);
+
+  add("primaryText/primary (normal)", "primaryText", "primary", normal);
+  add("secondaryText/secondary (normal)", "secondaryText", "secondary", normal);
+  add("accentText/accent (normal)", "accentText", "accent", normal);
+
+  add("textPrimary/background (large)", "textPrimary", "background", large);
+
+  // elevation 단계마다 텍스트 대비 (level0은 background와 같음)
+  if (tokens.elevation) {
+    for (const key of ELEVATION_KEYS.slice(1)) {
+      const bg = `elevation.${key}`;
+      add(`textPrimary/${bg} (normal)`, "textPrimary", bg, normal);
+      add(`textSecondary/${bg} (normal)`, "textSecondary", bg, normal);
+      add(`textTertiary/${bg} (large)`, "textTertiary", bg, large);
+    }
+  }
+
+  if (tokens.material3) {
+    for (const [fg, bg] of material3Pairs(tokens.material3)) {
+      add(`material3.${fg}/${bg} (normal)`, `material3.${fg}`, `material3.${bg}`, normal);
+    }
+  }
+
+  return {
+    target,
+    model,
+    normalTextMin: normal,
+    largeTextMin: large,
+    checks,
+    ...summarizeChecks(checks, model),
+  };
+}
+
+/*
+ * 버튼 변형별 상태 텍스트/배경 대비. focus는 기본 상태와 색이 같아 생략하고,
+ * Primary/Secondary의 기본 상태는 base 검사(primaryText/primary 등)가 담당.
+ * disabled 텍스트는 large 기준. 상태별 텍스트가 없는 이전 토큰은 text로 검사.
+ */
+function scoreContrastStates(tokens, target, cvdMode, model = "wcag2", locked = null) {
+  const { normal, large } = targetContrast(target, model);
   const checks = [];
 
   const add = (pair, fg, bg, min) => {
-    const ratio = contrastRatio(applyCvd(fg, cvdMode), applyCvd(bg, cvdMode));
-    const pass = ratio >= min;
-    checks.push({ pair, ratio, pass, mode: cvdMode });
+    checks.push(tokenCheck(tokens, pair, fg, bg, min, cvdMode, model, locked));
   };
 
-  add("textPrimary/background (normal)", tokens.textPrimary, tokens.background, normal);
-  add("textPrimary/surface (normal)", tokens.textPrimary, tokens.surface, normal);
-  add("textSecondary/background (normal)", tokens.textSecondary, tokens.background, normal);
-  add("textSecondary/surface (normal)", tokens.textSecondary, tokens.surface, normal);
-  add("textTertiary/surface (normal)", tokens.textTertiary, tokens.surface, large);
+  for (const variant of BUTTON_VARIANTS) {
+    const name = `button${variant}`;
+    const btn = tokens[name];
+    if (!btn) continue;
+    for (const state of BUTTON_STATES) {
+      if (state === "focus") continue;
+      if (state === "default" && (variant === "Primary" || variant === "Secondary")) continue;
+      const bgKey = buttonKey(state, "Bg");
+      const textKey = btn[buttonKey(state, "Text")] ? buttonKey(state, "Text") : "text";
+      if (!btn[bgKey]) continue;
+      const min = state === "disabled" ? large : normal;
+      add(`btn${variant}/${textKey}:${bgKey}`, `${name}.${textKey}`, `${name}.${bgKey}`, min);
+    }
+  }
 
-  add("primaryText/primary (normal)", tokens.primaryText, tokens.primary, normal);
-  add("secondaryText/secondary (normal)", tokens.secondaryText, tokens.secondary, normal);
-  add("accentText/accent (normal)", tokens.accentText, tokens.accent, normal);
+  for (const role of SEMANTIC_ROLES) {
+    const name = `semantic.${role}`;
+    add(`${name}/subtleText:subtleBg`, `${name}.subtleText`, `${name}.subtleBg`, normal);
+  }
 
-  add("textPrimary/background (large)", tokens.textPrimary, tokens.background, large);
+  return { checks, ...summarizeChecks(checks, model) };
+}
 
-  const passAll = checks.every((c) => c.pass);
-  const worstRatio = checks.reduce((m, c) => Math.min(m, c.ratio), Infinity);
+/*
+ * 비텍스트 대비 (WCAG 1.4.11). focus ring은 주변 배경과 포커스된 primary 버튼 모두에
+ * 대해 UI 기준(3:1), outline 버튼 테두리도 UI 기준. border는 입력 외곽선용으로 borderMin을 따로 설정.
+ * APCA에서는 spot(Lc 30) / 비텍스트 하한(Lc 15)을 사용.
+ */
+const NON_TEXT_MIN = {
+  wcag2: { ui: 3.0, border: 1.5 },
+  apca: { ui: APCA_USE_CASES.spot.AA, border: 15 },
+};
 
-  return { target, normalTextMin: normal, largeTextMin: large, checks, passAll, worstRatio };
+function nonTextMins(model, borderMin) {
+  const mins = NON_TEXT_MIN[model] ?? NON_TEXT_MIN.wcag2;
+  return { uiMin: mins.ui, borderMin: borderMin ?? mins.border };
 }
 
-function scoreContrastStates(tokens, target, cvdMode) {
-  const { normal } = targetContrast(target);
+function scoreContrastNonText(tokens, cvdMode, model = "wcag2", borderMin, locked = null) {
+  const mins = nonTextMins(model, borderMin);
   const checks = [];
 
   const add = (pair, fg, bg, min) => {
-    const ratio = contrastRatio(applyCvd(fg, cvdMode), applyCvd(bg, cvdMode));
-    const pass = ratio >= min;
-    checks.push({ pair, ratio, pass, mode: cvdMode });
+    checks.push(tokenCheck(tokens, pair, fg, bg, min, cvdMode, model, locked));
   };
 
-  add("btnPrimary/text:hoverBg", tokens.buttonPrimary.text, tokens.buttonPrimary.hoverBg, normal);
-  add(
-    "btnPrimary/text:pressedBg",
-    tokens.buttonPrimary.text,
-    tokens.buttonPrimary.pressedBg,
-    normal
-  );
+  add("focusRing/background (ui)", "focusRing", "background", mins.uiMin);
+  add("focusRing/surface (ui)", "focusRing", "surface", mins.uiMin);
+  add("focusRing/primary (ui)", "focusRing", "primary", mins.uiMin);
+  add("border/surface (ui)", "border", "surface", mins.borderMin);
+  if (tokens.buttonOutline) {
+    add("buttonOutline.border/background (ui)", "buttonOutline.border", "background", mins.uiMin);
+  }
 
-  add(
-    "btnSecondary/text:hoverBg",
-    tokens.buttonSecondary.text,
-    tokens.buttonSecondary.hoverBg,
-    normal
-  );
-  add(
-    "btnSecondary/text:pressedBg",
-    tokens.buttonSecondary.text,
-    tokens.buttonSecondary.pressedBg,
-    normal
-  );
+  return { ...mins, checks, ...summarizeChecks(checks, model) };
+}
 
-  add(
-    "semantic.success/subtleText:subtleBg",
-    tokens.semantic.success.subtleText,
-    tokens.semantic.success.subtleBg,
-    normal
-  );
-  add(
-    "semantic.warning/subtleText:subtleBg",
-    tokens.semantic.warning.subtleText,
-    tokens.semantic.warning.subtleBg,
-    normal
-  );
-  add(
-    "semantic.danger/subtleText:subtleBg",
-    tokens.semantic.danger.subtleText,
-    tokens.semantic.danger.subtleBg,
-    normal
-  );
-  add(
-    "semantic.info/subtleText:subtleBg",
-    tokens.semantic.info.subtleText,
-    tokens.semantic.info.subtleBg,
-    normal
-  );
+// 검사별 부족분(0~1)의 평균을 뺀 점수. 전부 통과하면 1
+function nonTextScoreOf(checks, model) {
+  if (checks.length === 0) return 1;
+  const shortfall = checks.reduce((sum, c) => {
+    const value = model === "apca" ? Math.abs(c.lc) : c.ratio;
+    return sum + clamp((c.min - value) / c.min, 0, 1);
+  }, 0);
+  return 1 - shortfall / checks.length;
+}
 
-  const passAll = checks.every((c) => c.pass);
-  const worstRatio = checks.reduce((m, c) => Math.min(m, c.ratio), Infinity);
+/*
+ * 사용자 규칙: [{ fg, bg, min, mode?, name? }] (min은 모델 단위: wcag2 ratio, apca |Lc|)
+ * mode가 있으면 해당 테마에서만 검사.
+ */
+function normalizeRules(rules) {
+  if (!rules) return [];
+  if (!Array.isArray(rules)) throw new Error("rules must be an array.");
+  return rules.map((r, i) => {
+    if (!r || typeof r.fg !== "string" || typeof r.bg !== "string") {
+      throw new Error(`rules[${i}]: fg and bg token paths are required.`);
+    }
+    if (typeof r.min !== "number" || !(r.min > 0)) {
+      throw new Error(`rules[${i}]: min must be a positive number.`);
+    }
+    if (r.mode !== undefined && r.mode !== "light" && r.mode !== "dark") {
+      throw new Error(`rules[${i}]: mode must be "light" or "dark".`);
+    }
+    return { ...r, name: r.name ?? `${r.fg}/${r.bg} (rule ${r.min})` };
+  });
+}
+
+function scoreContrastRules(tokens, rules, cvdMode, model = "wcag2", locked = null) {
+  const checks = [];
+  for (const r of rules) {
+    if (r.mode && tokens.mode && r.mode !== tokens.mode) continue;
+    for (const path of [r.fg, r.bg]) {
+      if (typeof tokenAt(tokens, path) !== "string") {
+        throw new Error(`rules: unknown token "${path}" in "${r.name}".`);
+      }
+    }
+    checks.push(tokenCheck(tokens, r.name, r.fg, r.bg, r.min, cvdMode, model, locked));
+  }
+  return { checks, ...summarizeChecks(checks, model) };
+}
+
+// 규칙별 부족분(0~1) 중 최대. 어닐링이 실패 규칙 쪽으로 기울도록 벌점에 더함
+function ruleShortfall(checks, model) {
+  return checks.reduce((worst, c) => {
+    if (c.pass) return worst;
+    const value = model === "apca" ? Math.abs(c.lc) : c.ratio;
+    return Math.max(worst, clamp((c.min - value) / c.min, 0, 1));
+  }, 0);
+}
 
-  return { checks, passAll, worstRatio };
+// 실패한 검사들의 상대 부족분 합 (Pareto 모드에서 불가능해끼리 비교)
+function totalShortfall(checks, model) {
+  return checks.reduce((sum, c) => {
+    if (c.pass) return sum;
+    const value = model === "apca" ? Math.abs(c.lc) : c.ratio;
+    return sum + clamp((c.min - value) / c.min, 0, 1);
+  }, 0);
 }
 
 function scoreToneSystem(mode, Linfo) {
@@ -653,6 +2384,22 @@ function scoreToneSystem(mode, Linfo) {
     }
   }
 
+  // elevation: level0 → overlay로 갈수록 한 방향으로, 단계마다 구분될 만큼 이동
+  const dir = mode === "light" ? -1 : 1;
+  const label = mode === "light" ? "라이트" : "다크";
+  for (let i = 1; i < ELEVATION_KEYS.length; i++) {
+    const prev = Linfo[`elevation.${ELEVATION_KEYS[i - 1]}`];
+    const cur = Linfo[`elevation.${ELEVATION_KEYS[i]}`];
+    if (prev === undefined || cur === undefined) continue;
+    if ((cur - prev) * dir < ELEVATION_MIN_STEP) {
+      ok = false;
+      notes.push(
+        `${label}: elevation ${ELEVATION_KEYS[i]}은 ${ELEVATION_KEYS[i - 1]}보다 ` +
+          `ΔL ${ELEVATION_MIN_STEP} 이상 ${mode === "light" ? "어두워야" : "밝아야"} 함`
+      );
+    }
+  }
+
   return { mode, L: { ...Linfo }, ok, notes };
 }
 
@@ -713,7 +2460,40 @@ function scoreHarmony(seedHue, tokens) {
   };
 }
 
-function scoreSemanticSeparation(tokens, cvdMode) {
+// 분리도 최소 기준 (JND 단위). 기본값은 ΔE OK 0.06(semantic) / 0.05(CVD)에 해당
+const DEFAULT_SEPARATION_JND = { semantic: 3, cvd: 2.5 };
+// 최소 기준보다 이만큼(JND) 더 떨어지면 만점
+const SEPARATION_RAMP_JND = { semantic: 4, cvd: 5 };
+
+function normalizeSeparation(metric = "ok", jnd = {}) {
+  if (!DIFFERENCE_METRICS.includes(metric)) {
+    throw new Error(
+      `Unknown difference metric: ${metric} (expected ${DIFFERENCE_METRICS.join(" | ")})`
+    );
+  }
+  if (!jnd || typeof jnd !== "object" || Array.isArray(jnd)) {
+    throw new Error("separationJnd must be { semantic?, cvd? }.");
+  }
+  for (const [k, v] of Object.entries(jnd)) {
+    if (!(k in DEFAULT_SEPARATION_JND)) {
+      throw new Error(`separationJnd: unknown key "${k}" (expected semantic | cvd).`);
+    }
+    if (typeof v !== "number" || !(v >= 0)) {
+      throw new Error(`separationJnd.${k} must be a non-negative number.`);
+    }
+  }
+  return { metric, ...DEFAULT_SEPARATION_JND, ...jnd };
+}
+
+const DEFAULT_SEPARATION = normalizeSeparation();
+
+// 두 색의 차이: 지표 단위(dE)와 JND 단위(jnd)
+function separationOf(hex1, hex2, metric) {
+  const dE = deltaE(hex1, hex2, metric);
+  return { dE, jnd: dE / DELTA_E_JND[metric] };
+}
+
+function scoreSemanticSeparation(tokens, cvdMode, separation = DEFAULT_SEPARATION) {
   const roles = [
     ["success", tokens.semantic.success.base],
     ["warning", tokens.semantic.warning.base],
@@ -723,6 +2503,7 @@ function scoreSemanticSeparation(tokens, cvdMode) {
 
   const pairs = [];
   let minDE = Infinity;
+  let minJnd = Infinity;
 
   for (let i = 0; i < roles.length; i++) {
     for (let j = i + 1; j < roles.length; j++) {
@@ -730,14 +2511,22 @@ function scoreSemanticSeparation(tokens, cvdMode) {
       const n2 = roles[j][0];
       const c1 = applyCvd(roles[i][1], cvdMode);
       const c2 = applyCvd(roles[j][1], cvdMode);
-      const dE = deltaEoklab(c1, c2);
-      pairs.push({ pair: `${n1}-${n2}`, dE, mode: cvdMode });
+      const { dE, jnd } = separationOf(c1, c2, separation.metric);
+      pairs.push({ pair: `${n1}-${n2}`, dE, jnd, mode: cvdMode });
       minDE = Math.min(minDE, dE);
+      minJnd = Math.min(minJnd, jnd);
     }
   }
 
-  const ok = minDE >= 0.06;
-  return { pairs, minDE, ok };
+  const ok = minJnd >= separation.semantic;
+  return {
+    metric: separation.metric,
+    pairs,
+    minDE,
+    minJnd,
+    minRequired: separation.semantic,
+    ok,
+  };
 }
 
 function aggregateScore(
@@ -745,18 +2534,45 @@ function aggregateScore(
   mode,
   target,
   weights,
-  gamutCount,
+  gamut,
   Linfo,
   cvdModes,
-  seedHue
+  seedHue,
+  model = "wcag2",
+  locked = null,
+  rules = [],
+  borderMin = undefined,
+  separation = DEFAULT_SEPARATION
 ) {
-  const contrastReports = cvdModes.map((m) => scoreContrastBase(tokens, target, m));
-  const worstContrast = Math.min(...contrastReports.map((r) => r.worstRatio));
+  const contrastReports = cvdModes.map((m) =>
+    scoreContrastBase(tokens, target, m, model, locked)
+  );
+  const worstContrast = Math.min(...contrastReports.map((r) => worstValue(r, model)));
   const passAllAllModes = contrastReports.every((r) => r.passAll);
 
-  const stateReports = cvdModes.map((m) => scoreContrastStates(tokens, target, m));
-  const worstState = Math.min(...stateReports.map((r) => r.worstRatio));
+  const stateReports = cvdModes.map((m) =>
+    scoreContrastStates(tokens, target, m, model, locked)
+  );
+  const worstState = Math.min(...stateReports.map((r) => worstValue(r, model)));
   const passAllStates = stateReports.every((r) => r.passAll);
+  // 상태 검사는 normal/large 기준이 섞여 있으므로 각자의 min 대비 여유로 비교
+  const stateHeadroom = stateReports
+    .flatMap((r) => r.checks)
+    .reduce((m, c) => {
+      const value = model === "apca" ? Math.abs(c.lc) : c.ratio;
+      return Math.min(m, (value - c.min) / c.min);
+    }, Infinity);
+
+  const nonTextReports = cvdModes.map((m) =>
+    scoreContrastNonText(tokens, m, model, borderMin, locked)
+  );
+  const nonTextChecks = nonTextReports.flatMap((r) => r.checks);
+  const passAllNonText = nonTextChecks.every((c) => c.pass);
+
+  const ruleChecks = cvdModes.flatMap(
+    (m) => scoreContrastRules(tokens, rules, m, model, locked).checks
+  );
+  const passAllRules = ruleChecks.every((c) => c.pass);
 
   const tone = scoreToneSystem(mode, Linfo);
   const emphasis = scoreEmphasis(tokens);
@@ -765,52 +2581,62 @@ function aggregateScore(
   const primaryDist = cvdModes.map((m) => {
     const p = applyCvd(tokens.primary, m);
     const s = applyCvd(tokens.surface, m);
-    return { mode: m, dE: deltaEoklab(p, s) };
+    return { mode: m, ...separationOf(p, s, separation.metric) };
   });
 
   const semanticDist = cvdModes.map((m) => {
-    const sem = scoreSemanticSeparation(tokens, m);
+    const sem = scoreSemanticSeparation(tokens, m, separation);
     let minPair = "";
     let minDE = Infinity;
+    let minJnd = Infinity;
     for (const p of sem.pairs) {
-      if (p.dE < minDE) {
+      if (p.jnd < minJnd) {
         minDE = p.dE;
+        minJnd = p.jnd;
         minPair = p.pair;
       }
     }
-    return { mode: m, minPair, minDE };
+    return { mode: m, minPair, minDE, minJnd };
   });
 
-  const semanticNone = scoreSemanticSeparation(tokens, "none");
+  const semanticNone = scoreSemanticSeparation(tokens, "none", separation);
 
-  const { normal } = targetContrast(target);
+  const { normal, large } = targetContrast(target, model);
 
   const contrastScore = clamp((worstContrast - normal) / (normal * 0.6), 0, 1);
-  const stateContrastScore = clamp((worstState - normal) / (normal * 0.6), 0, 1);
+  const stateContrastScore = clamp(stateHeadroom / 0.6, 0, 1);
+  const nonTextScore = nonTextScoreOf(nonTextChecks, model);
 
   const toneScore = tone.ok ? 1.0 : 0.65;
   const emphasisScore = emphasis.primaryVsSurface.score;
   const harmonyScore = clamp(harmony.score, 0, 1);
 
-  const primaryDEmin = Math.min(...primaryDist.map((x) => x.dE));
-  const semDEmin = Math.min(...semanticDist.map((x) => x.minDE));
-  const cvdPrimaryScore = clamp((primaryDEmin - 0.05) / 0.1, 0, 1);
-  const cvdSemanticScore = clamp((semDEmin - 0.05) / 0.1, 0, 1);
+  const primaryJndMin = Math.min(...primaryDist.map((x) => x.jnd));
+  const semJndMin = Math.min(...semanticDist.map((x) => x.minJnd));
+  const cvdRamp = (jnd) => clamp((jnd - separation.cvd) / SEPARATION_RAMP_JND.cvd, 0, 1);
+  const cvdPrimaryScore = cvdRamp(primaryJndMin);
+  const cvdSemanticScore = cvdRamp(semJndMin);
   const cvdScore = 0.55 * cvdPrimaryScore + 0.45 * cvdSemanticScore;
 
   const semanticScore = semanticNone.ok
-    ? clamp((semanticNone.minDE - 0.06) / 0.08, 0, 1)
+    ? clamp((semanticNone.minJnd - separation.semantic) / SEPARATION_RAMP_JND.semantic, 0, 1)
     : 0;
 
-  const outOfGamutCount = gamutCount;
+  const outOfGamutCount = gamut.count;
   const penaltyGamut = outOfGamutCount > 0 ? clamp(outOfGamutCount / 8, 0, 1) : 0;
 
   const hardContrastPenalty = passAllAllModes ? 0 : 0.85;
   const hardStatePenalty = passAllStates ? 0 : 0.65;
+  // 비텍스트 대비(focus ring, 테두리)도 기본 대비와 같은 강도의 hard constraint.
+  // 부족분에 따른 기울기는 nonTextScore가 이미 줌
+  const hardNonTextPenalty = passAllNonText ? 0 : 0.85;
+  // 사용자 규칙은 기본 대비와 같은 강도의 hard constraint
+  const hardRulePenalty = passAllRules ? 0 : 0.85 + ruleShortfall(ruleChecks, model);
 
   const total =
     weights.contrast * contrastScore +
     weights.stateContrast * stateContrastScore +
+    weights.nonTextContrast * nonTextScore +
     weights.toneSystem * toneScore +
     weights.emphasis * emphasisScore +
     weights.harmony * harmonyScore +
@@ -818,41 +2644,98 @@ function aggregateScore(
     weights.semanticSeparation * semanticScore -
     weights.gamutPenalty * penaltyGamut -
     4.0 * hardContrastPenalty -
-    2.8 * hardStatePenalty;
+    2.8 * hardStatePenalty -
+    4.0 * hardNonTextPenalty -
+    4.0 * hardRulePenalty;
 
   const mergedContrast = {
     target,
-    normalTextMin: targetContrast(target).normal,
-    largeTextMin: targetContrast(target).large,
+    model,
+    normalTextMin: normal,
+    largeTextMin: large,
     checks: contrastReports.flatMap((r) => r.checks),
     passAll: passAllAllModes,
-    worstRatio: worstContrast,
+    worstRatio: Math.min(...contrastReports.map((r) => r.worstRatio)),
   };
+  if (model === "apca") mergedContrast.worstLc = worstContrast;
 
   const mergedStates = {
     checks: stateReports.flatMap((r) => r.checks),
     passAll: passAllStates,
-    worstRatio: worstState,
+    worstRatio: Math.min(...stateReports.map((r) => r.worstRatio)),
   };
+  if (model === "apca") mergedStates.worstLc = worstState;
 
-  return {
+  const report = {
     mode,
     total,
     contrast: mergedContrast,
     tone,
     emphasis,
     harmony,
-    cvd: { modes: cvdModes, primaryDist, semanticDist },
+    cvd: {
+      modes: cvdModes,
+      metric: separation.metric,
+      minRequired: separation.cvd,
+      primaryDist,
+      semanticDist,
+    },
     semantic: semanticNone,
     states: mergedStates,
+    gamut: {
+      target: gamut.target,
+      mapped: gamut.mapped,
+      maxDeltaE: gamut.mapped.reduce((m, g) => Math.max(m, g.deltaE), 0),
+    },
     penalties: {
       outOfGamutCount,
       penalty:
         weights.gamutPenalty * penaltyGamut +
         4.0 * hardContrastPenalty +
-        2.8 * hardStatePenalty,
+        2.8 * hardStatePenalty +
+        4.0 * hardNonTextPenalty +
+        4.0 * hardRulePenalty,
     },
+    // Pareto 모드용 목적 벡터 (모두 0–1, 클수록 좋음)와 hard constraint 위반 정도
+    objectives: {
+      contrast: contrastScore,
+      harmony: harmonyScore,
+      emphasis: emphasisScore,
+      cvd: cvdScore,
+      gamut: 1 - penaltyGamut,
+    },
+    feasible: passAllAllModes && passAllStates && passAllNonText && passAllRules,
+    violation: totalShortfall(
+      [...mergedContrast.checks, ...mergedStates.checks, ...nonTextChecks, ...ruleChecks],
+      model
+    ),
   };
+  report.nonText = {
+    ...nonTextMins(model, borderMin),
+    checks: nonTextChecks,
+    ...summarizeChecks(nonTextChecks, model),
+  };
+  if (rules.length > 0) {
+    report.rules = { checks: ruleChecks, ...summarizeChecks(ruleChecks, model) };
+  }
+  if (locked && Object.keys(locked).length > 0) {
+    const impossible = [
+      ...mergedContrast.checks,
+      ...mergedStates.checks,
+      ...nonTextChecks,
+      ...ruleChecks,
+    ]
+      .filter((c) => c.lockConflict)
+      .map((c) => ({
+        pair: c.pair,
+        mode: c.mode,
+        fgToken: c.fgToken,
+        bgToken: c.bgToken,
+        reason: c.lockConflict,
+      }));
+    report.locks = { tokens: Object.keys(locked), impossible };
+  }
+  return report;
 }
 
 /* -----------------------------
@@ -921,6 +2804,8 @@ function initParams(rng, mode, seedHex, preferVibrant, semanticConventional) {
   const focusCBoost = preferVibrant ? rng.float(0.05, 0.1) : rng.float(0.04, 0.08);
   const focusL = isLight ? rng.float(0.45, 0.65) : rng.float(0.55, 0.75);
 
+  const elevationStepL = rng.float(0.015, 0.035);
+
   return {
     seedHue,
     neutralHue,
@@ -951,19 +2836,48 @@ function initParams(rng, mode, seedHex, preferVibrant, semanticConventional) {
     focusFrom,
     focusCBoost,
     focusL,
+    elevationStepL,
   };
 }
 
-function mutateParams(rng, p) {
+// mutateParams의 case 번호별로 함께 흔드는 파라미터
+const MUTATION_GROUPS = [
+  ["bgL", "surfaceDeltaL", "surface2DeltaL", "elevationStepL"],
+  ["textPrimaryL", "textSecondaryL", "textTertiaryL"],
+  ["secondaryHue", "secondaryC", "secondaryL"],
+  ["accentHue", "accentC", "accentL"],
+  ["neutralHue", "neutralC"],
+  ["semanticC", "successL", "warningL", "dangerL", "infoL"],
+  ["successHue", "warningHue", "dangerHue", "infoHue"],
+  ["borderDeltaL", "dividerDeltaL"],
+  ["focusFrom", "focusCBoost", "focusL"],
+  ["seedHue"],
+];
+
+/*
+ * frozen: 잠긴 토큰만 만드는 파라미터 집합. 해당 파라미터는 바꾸지 않고,
+ * 전부 고정된 그룹은 고르지 않음.
+ */
+function mutateParams(rng, p, frozen = null) {
   const q = { ...p };
   const jitter = (x, amt) => x + rng.float(-amt, amt);
 
-  const pick = rng.int(0, 9);
+  // 사용자 역할이 있으면 그 L 오프셋이 마지막 그룹 (roles.<name>)
+  const roleKeys = Object.keys(p.roles ?? {})
+    .filter((n) => p.roles[n].range > 0)
+    .map((n) => `roles.${n}`);
+  const groups = roleKeys.length > 0 ? [...MUTATION_GROUPS, roleKeys] : MUTATION_GROUPS;
+
+  const pick =
+    frozen && frozen.size > 0
+      ? rng.pick(groups.flatMap((g, i) => (g.every((k) => frozen.has(k)) ? [] : [i])))
+      : rng.int(0, groups.length - 1);
   switch (pick) {
     case 0:
       q.bgL = clamp(jitter(q.bgL, 0.03), 0, 1);
       q.surfaceDeltaL = clamp(jitter(q.surfaceDeltaL, 0.02), 0.02, 0.16);
       q.surface2DeltaL = clamp(jitter(q.surface2DeltaL, 0.03), 0.03, 0.2);
+      q.elevationStepL = clamp(jitter(q.elevationStepL, 0.006), 0.008, 0.05);
       break;
     case 1:
       q.textPrimaryL = clamp(jitter(q.textPrimaryL, 0.04), 0, 1);
@@ -998,7 +2912,8 @@ function mutateParams(rng, p) {
       q.infoHue = mod360(jitter(q.infoHue, 15));
       break;
     case 7:
-      q.borderDeltaL = clamp(jitter(q.borderDeltaL, 0.02), 0.01, 0.1);
+      // 상한은 입력 외곽선 대비(borderMin 3:1)까지 도달할 수 있게 넉넉히
+      q.borderDeltaL = clamp(jitter(q.borderDeltaL, 0.03), 0.01, 0.45);
       q.dividerDeltaL = clamp(jitter(q.dividerDeltaL, 0.02), 0.02, 0.14);
       break;
     case 8:
@@ -1009,80 +2924,276 @@ function mutateParams(rng, p) {
     case 9:
       q.seedHue = mod360(jitter(q.seedHue, 15));
       break;
+    case 10: {
+      const key = rng.pick(roleKeys.filter((k) => !frozen || !frozen.has(k))).slice(6);
+      const r = q.roles[key];
+      q.roles = { ...q.roles, [key]: { ...r, dL: clamp(jitter(r.dL, 0.03), -r.range, r.range) } };
+      break;
+    }
     default:
       break;
   }
+  if (frozen) for (const k of frozen) if (!k.startsWith("roles.")) q[k] = p[k];
   return q;
 }
 
+/* -----------------------------
+   Pareto mode (front 보관은 pareto.js)
+------------------------------ */
+const PARETO_DEFAULT_SIZE = 24;
+// 구간(재가열)마다 목적들의 무작위 가중합을 점수에 더해, 탐색이 front 여러 방향을 훑게 함
+const PARETO_STEER = 1.5;
+
+function normalizePareto(pareto) {
+  if (!pareto) return null;
+  if (pareto === true) return { maxSize: PARETO_DEFAULT_SIZE };
+  if (typeof pareto !== "object" || Array.isArray(pareto)) {
+    throw new Error("pareto must be true or { maxSize }.");
+  }
+  const maxSize = pareto.maxSize ?? PARETO_DEFAULT_SIZE;
+  if (!Number.isInteger(maxSize) || maxSize < 1) {
+    throw new Error("pareto.maxSize must be a positive integer.");
+  }
+  return { maxSize };
+}
+
+function paretoDirection(rng) {
+  const w = PARETO_OBJECTIVES.map(() => rng.next());
+  const sum = w.reduce((a, b) => a + b, 0) || 1;
+  return Object.fromEntries(PARETO_OBJECTIVES.map((k, i) => [k, (w[i] / sum) * PARETO_STEER]));
+}
+
+// 수락 판정용 점수. 최선 해(best)는 항상 원래 total로 고름
+function steeredScore(report, direction) {
+  if (!direction) return report.total;
+  return PARETO_OBJECTIVES.reduce((s, k) => s + direction[k] * report.objectives[k], report.total);
+}
+
 function accept(delta, temperature, rng) {
   if (delta >= 0) return true;
   const prob = Math.exp(delta / Math.max(1e-9, temperature));
   return rng.next() < prob;
 }
 
-function optimizeTheme(mode, primaryHexFixed, opts, rng, seedHue) {
+// 모드 하나의 최적화 문맥: 옵션 정규화, 평가(params -> 토큰·보고서), 결과 조립
+function themeContext(mode, primaryHexFixed, opts, seedHue) {
   const contrastTarget = opts.contrastTarget ?? "AA";
-  const iterations = opts.iterations ?? 3500;
-  let temperature = opts.temperature ?? 1.0;
-  const cooling = opts.cooling ?? 0.985;
+  const contrastModel = opts.contrastModel ?? "wcag2";
+  const gamut = opts.gamut ?? "srgb";
+  const schema = opts.schema ?? "default";
+  const locked = normalizeLocks(opts.locked)[mode];
+  const roles = normalizeRoles(opts.roles);
+  const rules = [...normalizeRules(opts.rules), ...roles.flatMap((r) => r.contrast)];
+  const frozen = frozenParams(locked, schema, roles);
 
   const preferVibrant = opts.preferVibrant ?? true;
   const semanticConventional = opts.semanticConventional ?? true;
-  const cvdModes =
-    opts.cvdModes && opts.cvdModes.length > 0
-      ? opts.cvdModes
-      : ["none", "protan", "deutan", "tritan"];
+  const cvdModes = normalizeCvdModes(opts.cvdModes);
+  const contrast = contrastRequirements(contrastTarget, contrastModel, cvdModes);
+  const buildCtx = { gamut, schema, locked, roles, contrast };
+  const separation = normalizeSeparation(opts.differenceMetric, opts.separationJnd);
 
   const weights = defaultWeights(opts.weights);
 
-  let curParams = initParams(rng, mode, opts.seedHex, preferVibrant, semanticConventional);
-  let built = buildTokens(curParams, mode, primaryHexFixed);
-  let curReport = aggregateScore(
-    built.tokens,
-    mode,
-    contrastTarget,
-    weights,
-    built.gamutCount,
-    built.Linfo,
-    cvdModes,
-    seedHue
-  );
-  let curScore = curReport.total;
-
-  let bestParams = curParams;
-  let bestTokens = built.tokens;
-  let bestReport = curReport;
-  let bestScore = curScore;
+  const init = (rng) => {
+    const params = initParams(rng, mode, opts.seedHex, preferVibrant, semanticConventional);
+    if (roles.length > 0) {
+      params.roles = Object.fromEntries(roles.map((r) => [r.name, { dL: 0, range: r.range }]));
+    }
+    return params;
+  };
 
-  for (let i = 0; i < iterations; i++) {
-    const nextParams = mutateParams(rng, curParams);
-    const nextBuilt = buildTokens(nextParams, mode, primaryHexFixed);
-    const nextReport = aggregateScore(
-      nextBuilt.tokens,
+  const evaluate = (params) => {
+    const built = buildTokens(params, mode, primaryHexFixed, buildCtx);
+    const report = aggregateScore(
+      built.tokens,
       mode,
       contrastTarget,
       weights,
-      nextBuilt.gamutCount,
-      nextBuilt.Linfo,
+      built.gamut,
+      built.Linfo,
       cvdModes,
-      seedHue
+      seedHue,
+      contrastModel,
+      locked,
+      rules,
+      opts.borderMin,
+      separation
     );
-    const nextScore = nextReport.total;
+    return { params, built, report };
+  };
+
+  const finish = (best) => {
+    const { palette, anchors } = buildPalettes(best.built.tokens, best.params, mode);
+    const result = {
+      tokens: best.built.tokens,
+      score: best.report.total,
+      report: best.report,
+      palette,
+      paletteAnchors: anchors,
+    };
+    if (gamut === "p3") result.wide = wideTokens(best.built.tokens, best.built.gamut.wide);
+    return result;
+  };
+
+  return { gamut, weights, frozen, init, evaluate, finish };
+}
+
+function optimizeTheme(mode, primaryHexFixed, opts, rng, seedHue) {
+  const iterations = opts.iterations ?? 3500;
+  let temperature = opts.temperature ?? 1.0;
+  const cooling = opts.cooling ?? 0.985;
+  const ctx = themeContext(mode, primaryHexFixed, opts, seedHue);
+
+  const pareto = normalizePareto(opts.pareto);
+  const front = [];
+  const archive = ({ built, report }) => {
+    if (!pareto) return;
+    const { objectives, feasible, violation, total } = report;
+    const entry = { objectives, feasible, violation, score: total, tokens: built.tokens };
+    paretoInsert(front, { ...entry, gamut: built.gamut, report }, pareto.maxSize);
+  };
+
+  let cur = ctx.evaluate(ctx.init(rng));
+  archive(cur);
+  let direction = pareto ? paretoDirection(rng) : null;
+  let curScore = steeredScore(cur.report, direction);
+  let best = cur;
+
+  for (let i = 0; i < iterations; i++) {
+    const next = ctx.evaluate(mutateParams(rng, cur.params, ctx.frozen));
+    archive(next);
+    const nextScore = steeredScore(next.report, direction);
+
+    // Pareto 모드에서는 total이 더 높아도 기각될 수 있으므로 수락 전에 기록
+    if (next.report.total > best.report.total) best = next;
 
     const delta = nextScore - curScore;
     if (accept(delta, temperature, rng)) {
-      curParams = nextParams;
-      built = nextBuilt;
-      curReport = nextReport;
+      cur = next;
       curScore = nextScore;
     }
 
-    if (curScore > bestScore) {
-      bestScore = curScore;
-      bestParams = curParams;
-      bestTokens = built.tokens;
-      bestReport = curReport;
+    temperature *= cooling;
+
+    if ((i + 1) % 900 === 0) {
+      temperature = Math.min(1.0, temperature * 1.18);
+      if (pareto) {
+        direction = paretoDirection(rng);
+        curScore = steeredScore(cur.report, direction);
+      }
+    }
+  }
+
+  const result = ctx.finish(best);
+  if (pareto) {
+    // 점수순. p3면 후보마다 wide 토큰도 포함
+    result.front = front
+      .sort((a, b) => b.score - a.score)
+      .map(({ gamut: g, ...f }) =>
+        ctx.gamut === "p3" ? { ...f, wide: wideTokens(f.tokens, g.wide) } : f
+      );
+  }
+  return result;
+}
+
+/* -----------------------------
+   Joint light/dark optimization
+   (공유·패널티 대상 hue 파라미터는 crossmode.js)
+------------------------------ */
+// 일관성을 재는 토큰. 어느 한쪽이라도 무채색에 가까우면 hue가 의미 없어 제외
+const CROSS_MODE_TOKENS = [
+  "secondary",
+  "accent",
+  "focusRing",
+  "semantic.success.base",
+  "semantic.warning.base",
+  "semantic.danger.base",
+  "semantic.info.base",
+];
+const CROSS_MODE_MIN_CHROMA = 0.02;
+
+/**
+ * 라이트/다크 토큰의 색상 일관성 (0–1). 유채색 역할마다 OKLCH hue 차이를 재서
+ * 1 - 차이/30°의 평균을 냄. 비교할 토큰이 없으면 1.
+ *
+ * 반환: { score, hueDrift: { [토큰 경로]: 도 } }
+ */
+export function crossModeConsistency(lightTokens, darkTokens) {
+  const hueDrift = {};
+  let sum = 0;
+  let n = 0;
+  for (const path of CROSS_MODE_TOKENS) {
+    const l = tokenAt(lightTokens, path);
+    const d = tokenAt(darkTokens, path);
+    if (typeof l !== "string" || typeof d !== "string") continue;
+    const a = hexToOklch(l);
+    const b = hexToOklch(d);
+    if (a.C < CROSS_MODE_MIN_CHROMA || b.C < CROSS_MODE_MIN_CHROMA) continue;
+    const drift = hueDistance(a.H, b.H);
+    hueDrift[path] = drift;
+    sum += clamp(1 - drift / CROSS_MODE_HUE_SPAN, 0, 1);
+    n++;
+  }
+  return { score: n > 0 ? sum / n : 1, hueDrift };
+}
+
+/*
+ * 라이트와 다크를 한 annealing chain으로 함께 최적화. 매 반복마다 라이트, 다크를 차례로
+ * 변이하고 두 모드 점수의 합으로 수락 여부를 정함.
+ * - shared: 변이한 모드의 hue 파라미터를 다른 모드에 복사 (두 모드 모두 다시 평가)
+ * - penalized: hue는 따로 움직이되 weights.crossModeConsistency × (hue 파라미터 차이 합)을 뺌.
+ *   토큰 기준 일관성은 채도를 낮춰 피할 수 있어서 파라미터로 잼
+ */
+function optimizeJoint(primaryHex, primaryDarkHex, opts, rng, seedHue, crossMode) {
+  const iterations = opts.iterations ?? 3500;
+  let temperature = opts.temperature ?? 1.0;
+  const cooling = opts.cooling ?? 0.985;
+  const ctx = {
+    light: themeContext("light", primaryHex, opts, seedHue),
+    dark: themeContext("dark", primaryDarkHex, opts, seedHue),
+  };
+  const weight = ctx.light.weights.crossModeConsistency;
+
+  const shared = crossMode === "shared";
+  const jointScore = ({ light, dark }) => {
+    const total = light.report.total + dark.report.total;
+    if (crossMode !== "penalized") return total;
+    return total - weight * hueParamDivergence(light.params, dark.params);
+  };
+
+  const lightParams = ctx.light.init(rng);
+  const darkParams = ctx.dark.init(rng);
+  let cur = {
+    light: ctx.light.evaluate(lightParams),
+    dark: ctx.dark.evaluate(shared ? shareHues(lightParams, darkParams) : darkParams),
+  };
+  let curScore = jointScore(cur);
+  let best = cur;
+  let bestScore = curScore;
+
+  for (let i = 0; i < iterations; i++) {
+    for (const [mode, other] of [
+      ["light", "dark"],
+      ["dark", "light"],
+    ]) {
+      const params = mutateParams(rng, cur[mode].params, ctx[mode].frozen);
+      const next = { ...cur, [mode]: ctx[mode].evaluate(params) };
+      // hue 그룹이 변이됐을 때만 다른 모드를 다시 평가
+      const otherParams = cur[other].params;
+      if (shared && SHARED_HUE_PARAMS.some((k) => params[k] !== otherParams[k])) {
+        next[other] = ctx[other].evaluate(shareHues(params, otherParams));
+      }
+      const nextScore = jointScore(next);
+
+      if (nextScore > bestScore) {
+        best = next;
+        bestScore = nextScore;
+      }
+      if (accept(nextScore - curScore, temperature, rng)) {
+        cur = next;
+        curScore = nextScore;
+      }
     }
 
     temperature *= cooling;
@@ -1090,9 +3201,7 @@ function optimizeTheme(mode, primaryHexFixed, opts, rng, seedHue) {
     if ((i + 1) % 900 === 0) temperature = Math.min(1.0, temperature * 1.18);
   }
 
-  void bestParams;
-
-  return { tokens: bestTokens, score: bestScore, report: bestReport };
+  return { light: ctx.light.finish(best.light), dark: ctx.dark.finish(best.dark) };
 }
 
 /* -----------------------------
@@ -1109,15 +3218,30 @@ export function recommendTokensDual(options) {
   const primaryHex = normalizeHex(options.primaryHex);
   const primaryDarkHex = normalizeHex(options.primaryDarkHex ?? options.primaryHex);
 
-  const cvdModes =
-    options.cvdModes && options.cvdModes.length > 0
-      ? options.cvdModes
-      : ["none", "protan", "deutan", "tritan"];
+  const cvdModes = normalizeCvdModes(options.cvdModes);
+  const { metric, ...separationJnd } = normalizeSeparation(
+    options.differenceMetric,
+    options.separationJnd
+  );
 
   const seedHue = safeSeedHue(options.seedHex);
+  const locked = normalizeLocks(options.locked);
+  const rules = normalizeRules(options.rules);
+  normalizeRoles(options.roles);
+  const pareto = normalizePareto(options.pareto);
+  const crossMode = normalizeCrossMode(options.crossMode);
+  if (pareto && crossMode !== "independent") {
+    throw new Error('pareto is only supported with crossMode "independent".');
+  }
 
-  const light = optimizeTheme("light", primaryHex, options, rng, seedHue);
-  const dark = optimizeTheme("dark", primaryDarkHex, options, rng, seedHue);
+  const { light, dark } =
+    crossMode === "independent"
+      ? {
+          light: optimizeTheme("light", primaryHex, options, rng, seedHue),
+          dark: optimizeTheme("dark", primaryDarkHex, options, rng, seedHue),
+        }
+      : optimizeJoint(primaryHex, primaryDarkHex, options, rng, seedHue, crossMode);
+  const consistency = crossModeConsistency(light.tokens, dark.tokens);
 
   return {
     light,
@@ -1126,8 +3250,117 @@ export function recommendTokensDual(options) {
       primaryHex,
       primaryDarkHex,
       contrastTarget: options.contrastTarget ?? "AA",
+      contrastModel: options.contrastModel ?? "wcag2",
+      gamut: options.gamut ?? "srgb",
+      schema: options.schema ?? "default",
       cvdModes,
+      differenceMetric: metric,
+      separationJnd,
+      randomSeed,
+      ...(options.locked ? { locked } : {}),
+      ...(rules.length > 0 ? { rules } : {}),
+      ...(options.roles ? { roles: options.roles } : {}),
+      ...(options.borderMin !== undefined ? { borderMin: options.borderMin } : {}),
+      ...(pareto ? { pareto } : {}),
+      crossMode: {
+        mode: crossMode,
+        consistency: consistency.score,
+        hueDrift: consistency.hueDrift,
+      },
+    },
+  };
+}
+
+/* -----------------------------
+   Public API: candidate themes
+------------------------------ */
+// 같은 경로 색 토큰의 평균 ΔE (JND 단위). alpha는 무시
+function tokenDistance(a, b, metric) {
+  const other = new Map(flattenTokens(b).map((e) => [e.path.join("."), e.value]));
+  let sum = 0;
+  let n = 0;
+  for (const e of flattenTokens(a)) {
+    const v = other.get(e.path.join("."));
+    if (v === undefined) continue;
+    sum += deltaE(splitAlpha(e.value).hex, splitAlpha(v).hex, metric);
+    n++;
+  }
+  return n > 0 ? sum / n / DELTA_E_JND[metric] : Infinity;
+}
+
+function themeDistance(r1, r2, metric) {
+  const light = tokenDistance(r1.light.tokens, r2.light.tokens, metric);
+  const dark = tokenDistance(r1.dark.tokens, r2.dark.tokens, metric);
+  return (light + dark) / 2;
+}
+
+/**
+ * 독립된 annealing chain을 여러 번 돌려, 서로 충분히 다른 테마를 점수순으로 반환.
+ * 첫 chain은 randomSeed를 그대로 쓰므로 1위 후보 풀에 recommendTokensDual(options)
+ * 결과가 항상 포함됨. 각 후보는 recommendTokensDual 결과와 같은 모양 (exporter에 그대로 사용).
+ *
+ * options: recommendTokensDual 옵션 +
+ * - count: 후보 수 (기본 5)
+ * - chains: 돌릴 chain 수 (기본 count, count 이상). chain마다 recommendTokensDual을
+ *   한 번씩 돌리므로 실행 시간은 chains배. 다양성 때문에 후보가 모자라면 늘릴 것
+ * - minDiversity: 먼저 뽑힌 후보들과의 최소 거리 (기본 2). 같은 경로 색 토큰의
+ *   평균 ΔE를 differenceMetric의 JND 단위로 잰 값 (라이트/다크 평균)
+ *
+ * 반환: { candidates: [{ rank, score, distance, light, dark, meta }], meta }
+ * score는 라이트+다크 점수, distance는 상위 후보들과의 최소 거리 (1위는 null).
+ * 서로 다른 후보가 count개보다 적으면 있는 만큼만 반환.
+ */
+export function recommendTokensDualCandidates(options) {
+  if (!options || !options.primaryHex) {
+    throw new Error("primaryHex is required (brand primary fixed).");
+  }
+  const count = options.count ?? 5;
+  if (!Number.isInteger(count) || count < 1) throw new Error("count must be a positive integer.");
+  const chains = options.chains ?? count;
+  if (!Number.isInteger(chains) || chains < count) {
+    throw new Error(`chains must be an integer >= count (${count}).`);
+  }
+  const minDiversity = options.minDiversity ?? 2;
+  if (typeof minDiversity !== "number" || !(minDiversity >= 0)) {
+    throw new Error("minDiversity must be a non-negative number.");
+  }
+  const { metric } = normalizeSeparation(options.differenceMetric, options.separationJnd);
+
+  const randomSeed = options.randomSeed ?? Math.floor(Math.random() * 1e9);
+  const seeds = new RNG(randomSeed);
+
+  const results = [];
+  for (let i = 0; i < chains; i++) {
+    const chainSeed = i === 0 ? randomSeed : seeds.int(0, 1e9);
+    const r = recommendTokensDual({ ...options, randomSeed: chainSeed });
+    results.push({ score: r.light.score + r.dark.score, ...r });
+  }
+  results.sort((a, b) => b.score - a.score);
+
+  // 점수순 greedy: 이미 뽑힌 모든 후보와 minDiversity 이상 떨어져야 채택
+  const candidates = [];
+  let rejected = 0;
+  for (const r of results) {
+    if (candidates.length >= count) break;
+    const distance = candidates.length
+      ? Math.min(...candidates.map((c) => themeDistance(c, r, metric)))
+      : null;
+    if (distance !== null && distance < minDiversity) {
+      rejected++;
+      continue;
+    }
+    candidates.push({ rank: candidates.length + 1, distance, ...r });
+  }
+
+  return {
+    candidates,
+    meta: {
+      count,
+      chains,
+      minDiversity,
+      differenceMetric: metric,
       randomSeed,
+      rejected,
     },
   };
 }
@@ -1144,44 +3377,355 @@ function safeSeedHue(seedHex) {
 /* -----------------------------
    Optional helpers
 ------------------------------ */
-export function validateTokens(
-  tokens,
-  target = "AA",
-  cvdModes = ["none", "protan", "deutan", "tritan"]
-) {
-  const base = cvdModes.map((m) => scoreContrastBase(tokens, target, m));
-  const states = cvdModes.map((m) => scoreContrastStates(tokens, target, m));
-  const pass = base.every((r) => r.passAll) && states.every((r) => r.passAll);
-  const worst = Math.min(
-    ...base.map((r) => r.worstRatio),
-    ...states.map((r) => r.worstRatio)
+export function validateTokens(tokens, target = "AA", cvdModes = DEFAULT_CVD_MODES, options = {}) {
+  const model = options.contrastModel ?? "wcag2";
+  const modes = normalizeCvdModes(cvdModes);
+  const rules = [
+    ...normalizeRules(options.rules),
+    ...normalizeRoles(options.roles).flatMap((r) => r.contrast),
+  ];
+  const base = modes.map((m) => scoreContrastBase(tokens, target, m, model));
+  const states = modes.map((m) => scoreContrastStates(tokens, target, m, model));
+  const nonText = modes.map((m) => scoreContrastNonText(tokens, m, model, options.borderMin));
+  const ruleReports = modes.map((m) => scoreContrastRules(tokens, rules, m, model));
+  const all = [...base, ...states, ...nonText, ...ruleReports];
+  const pass = all.every((r) => r.passAll);
+  const worst = Math.min(...all.map((r) => r.worstRatio));
+  const out = { pass, worst, model, base, states, nonText };
+  if (rules.length > 0) out.rules = ruleReports;
+  if (model === "apca") out.worstLc = Math.min(...all.map((r) => r.worstLc));
+  return out;
+}
+
+// validateTokens 결과의 모든 검사 묶음 (CVD 모드별)
+function checkReports(validation) {
+  return [
+    ...validation.base,
+    ...validation.states,
+    ...(validation.nonText ?? []),
+    ...(validation.rules ?? []),
+  ];
+}
+
+/* -----------------------------
+   Contrast matrix (arbitrary pairs)
+------------------------------ */
+// WCAG 2 기준: 본문 AA 4.5 / AAA 7, 큰 글자 AA 3 / AAA 4.5, UI 컴포넌트(1.4.11) 3
+const MATRIX_LEVELS = { aaNormal: 4.5, aaLarge: 3, aaaNormal: 7, aaaLarge: 4.5, ui: 3 };
+
+function matrixLevel(ratio) {
+  if (ratio >= 7) return "AAA";
+  if (ratio >= 4.5) return "AA";
+  if (ratio >= 3) return "AA-large";
+  return "fail";
+}
+
+function matrixCell(fgHex, bgHex) {
+  const ratio = contrastRatio(fgHex, bgHex);
+  return { ratio, lc: apcaContrast(fgHex, bgHex), level: matrixLevel(ratio) };
+}
+
+// 경로 선택: 정확한 경로, 그룹 접두사("buttonPrimary"), 세그먼트 와일드카드("semantic.*.base")
+function pathMatches(path, pattern) {
+  const a = path.split(".");
+  const b = pattern.split(".");
+  return b.length <= a.length && b.every((seg, i) => seg === "*" || seg === a[i]);
+}
+
+function selectPaths(all, patterns, label) {
+  if (!patterns) return all;
+  const out = [];
+  for (const p of patterns) {
+    const hit = all.filter((path) => pathMatches(path, p));
+    if (hit.length === 0) throw new Error(`contrastMatrix: no ${label} token matches "${p}".`);
+    for (const h of hit) if (!out.includes(h)) out.push(h);
+  }
+  return out;
+}
+
+/**
+ * 임의의 전경/배경 토큰 조합 전체의 대비표.
+ *
+ * options:
+ * - foregrounds / backgrounds: 토큰 경로 목록 (기본: 모든 색 토큰).
+ *   그룹 접두사("semantic.danger")와 "*" 세그먼트("semantic.*.base")를 허용
+ * - cvdModes: 함께 계산할 색각 모드 (기본 protan/deutan/tritan, "deutan:0.6" 등 severity 가능)
+ *
+ * 반환: { mode, cvdModes, foregrounds, backgrounds, pairs }
+ * pairs[i]: { fg, bg, fgHex, bgHex, ratio, lc, level, pass: { aaNormal, aaLarge,
+ *             aaaNormal, aaaLarge, ui }, cvd: { [mode]: { ratio, lc, level } } }
+ * level: "AAA" | "AA" | "AA-large"(큰 글자·UI 3:1) | "fail"
+ */
+export function contrastMatrix(tokens, options = {}) {
+  // 반투명 토큰(modalBackdrop)은 아래에 깔리는 색에 따라 대비가 달라지므로 제외
+  const all = flattenTokens(tokens)
+    .filter((e) => splitAlpha(e.value).alpha === 1)
+    .map((e) => e.path.join("."));
+  const foregrounds = selectPaths(all, options.foregrounds, "foreground");
+  const backgrounds = selectPaths(all, options.backgrounds, "background");
+  const cvdModes = normalizeCvdModes(options.cvdModes ?? ["protan", "deutan", "tritan"]).filter(
+    (m) => m !== "none"
   );
-  return { pass, worst, base, states };
+
+  const pairs = [];
+  for (const fg of foregrounds) {
+    for (const bg of backgrounds) {
+      if (fg === bg) continue;
+      const fgHex = tokenAt(tokens, fg);
+      const bgHex = tokenAt(tokens, bg);
+      const cell = matrixCell(fgHex, bgHex);
+      pairs.push({
+        fg,
+        bg,
+        fgHex,
+        bgHex,
+        ...cell,
+        pass: Object.fromEntries(
+          Object.entries(MATRIX_LEVELS).map(([k, min]) => [k, cell.ratio >= min])
+        ),
+        cvd: Object.fromEntries(
+          cvdModes.map((m) => [m, matrixCell(applyCvd(fgHex, m), applyCvd(bgHex, m))])
+        ),
+      });
+    }
+  }
+  return { mode: tokens.mode, cvdModes, foregrounds, backgrounds, pairs };
+}
+
+/* -----------------------------
+   Remediation (fix suggestions)
+------------------------------ */
+const FIX_STEP_L = 0.01;
+const FIX_MAX_ROUNDS = 60;
+
+function formatContrast(value, model) {
+  return model === "apca" ? `Lc ${value.toFixed(1)}` : `${value.toFixed(2)}:1`;
+}
+
+/*
+ * hue/chroma를 유지한 채 L만 움직여 모든 CVD 모드에서 기준을 넘는 가장 가까운 색.
+ * 위/아래 양방향을 FIX_STEP_L 간격으로 훑은 뒤 경계를 이분 탐색으로 좁힘.
+ * 어느 방향으로도 불가능하면 null.
+ */
+function nearestPassing(hex, otherHex, movingFg, min, cvdModes, model) {
+  const c = hexToOklch(hex);
+  const trial = (L) => {
+    const cand = oklchToHex(gamutMapOklch({ L, C: c.C, H: c.H })).hex;
+    const value = Math.min(
+      ...cvdModes.map((m) => {
+        const fg = applyCvd(movingFg ? cand : otherHex, m);
+        const bg = applyCvd(movingFg ? otherHex : cand, m);
+        return measureContrast(fg, bg, model).value;
+      })
+    );
+    return value >= min ? { hex: cand, value } : null;
+  };
+
+  let best = null;
+  for (const dir of [-1, 1]) {
+    let lo = c.L;
+    for (let i = 1; ; i++) {
+      const L = clamp(c.L + dir * i * FIX_STEP_L, 0, 1);
+      let hit = trial(L);
+      if (hit) {
+        let hi = L;
+        for (let k = 0; k < 12; k++) {
+          const mid = (lo + hi) / 2;
+          const t = trial(mid);
+          if (t) {
+            hi = mid;
+            hit = t;
+          } else {
+            lo = mid;
+          }
+        }
+        const deltaL = hexToOklch(hit.hex).L - c.L;
+        if (!best || Math.abs(deltaL) < Math.abs(best.deltaL)) best = { ...hit, deltaL };
+        break;
+      }
+      if (L === 0 || L === 1) break;
+      lo = L;
+    }
+  }
+  return best;
+}
+
+function fixFor(tokens, check, cvdModes, model, locked) {
+  const fgHex = tokenAt(tokens, check.fgToken);
+  const bgHex = tokenAt(tokens, check.bgToken);
+  const side = (path, hex, otherHex, movingFg) => {
+    if (isFixed(path, locked)) return null;
+    const hit = nearestPassing(hex, otherHex, movingFg, check.min, cvdModes, model);
+    return hit && { token: path, from: hex, to: hit.hex, deltaL: hit.deltaL, value: hit.value };
+  };
+  return {
+    fg: side(check.fgToken, fgHex, bgHex, true),
+    bg: side(check.bgToken, bgHex, fgHex, false),
+  };
+}
+
+function describeFix(check, fix, model) {
+  const current = formatContrast(check.value, model);
+  const head = `${check.pair} [${check.modes.join(", ")}]: ${current}, 기준 ${formatContrast(
+    check.min,
+    model
+  )}`;
+  const options = [fix.fg, fix.bg].filter(Boolean).map((f) => {
+    const dL = `${f.deltaL >= 0 ? "+" : ""}${f.deltaL.toFixed(3)}`;
+    return `${f.token}: ${f.from} → ${f.to} (ΔL ${dL}, ${formatContrast(f.value, model)})`;
+  });
+  if (options.length === 0) return `${head} — L 조정만으로는 통과할 수 없음`;
+  return `${head} — ${options.join(" 또는 ")}`;
+}
+
+// 실패한 검사를 쌍별로 묶음 (CVD 모드마다 따로 고치면 서로 되돌리며 진동함)
+function failingPairs(report, model) {
+  const byPair = new Map();
+  for (const c of checkReports(report).flatMap((r) => r.checks)) {
+    if (c.pass) continue;
+    const value = model === "apca" ? Math.abs(c.lc) : c.ratio;
+    const entry = byPair.get(c.pair);
+    if (!entry) {
+      byPair.set(c.pair, {
+        pair: c.pair,
+        fgToken: c.fgToken,
+        bgToken: c.bgToken,
+        min: c.min,
+        modes: [c.mode],
+        value,
+      });
+    } else {
+      entry.modes.push(c.mode);
+      entry.value = Math.min(entry.value, value);
+    }
+  }
+  return [...byPair.values()];
+}
+
+/**
+ * 실패한 대비 쌍마다 fg/bg 각각에 대해 모든 CVD 모드에서 통과하는
+ * 가장 가까운 색(OKLCH L만 이동)을 제안하고,
+ * 제안을 차례로 적용해 통과하는 토큰 세트(patched)를 만듦.
+ * primary와 options.locked({ light: {경로: hex}, dark: {…} })의 토큰은 바꾸지 않음.
+ *
+ * 반환: { pass, suggestions, patched, patches, validation }
+ * - suggestions: 원본 토큰 기준 [{ pair, modes, fgToken, bgToken, fg, bg, recommended, message }]
+ * - patches: [{ token, from, to }] (patched에 적용된 변경)
+ * - validation: patched의 validateTokens 결과
+ */
+export function suggestFixes(tokens, target = "AA", cvdModes = DEFAULT_CVD_MODES, options = {}) {
+  const model = options.contrastModel ?? "wcag2";
+  const modes = normalizeCvdModes(cvdModes);
+  const locked = normalizeLocks(options.locked)[tokens.mode] ?? {};
+  const validate = (t) => validateTokens(t, target, modes, options);
+
+  const suggestions = failingPairs(validate(tokens), model).map((check) => {
+    const fix = fixFor(tokens, check, modes, model, locked);
+    const picks = [fix.fg, fix.bg].filter(Boolean);
+    const recommended = picks.length
+      ? picks.reduce((a, b) => (Math.abs(b.deltaL) < Math.abs(a.deltaL) ? b : a)).token
+      : null;
+    return {
+      pair: check.pair,
+      modes: check.modes,
+      fgToken: check.fgToken,
+      bgToken: check.bgToken,
+      fg: fix.fg,
+      bg: fix.bg,
+      recommended,
+      message: describeFix(check, fix, model),
+    };
+  });
+
+  // 한 번에 하나씩 적용하고 다시 검증 (배경을 바꾸면 다른 쌍이 깨질 수 있음)
+  const patched = JSON.parse(JSON.stringify(tokens));
+  const original = {};
+  const stuck = new Set();
+  let validation = validate(patched);
+  for (let round = 0; round < FIX_MAX_ROUNDS && !validation.pass; round++) {
+    let applied = false;
+    for (const check of failingPairs(validation, model)) {
+      if (stuck.has(check.pair)) continue;
+      const fix = fixFor(patched, check, modes, model, locked);
+      const pick = [fix.fg, fix.bg]
+        .filter(Boolean)
+        .sort((a, b) => Math.abs(a.deltaL) - Math.abs(b.deltaL))[0];
+      if (!pick) {
+        stuck.add(check.pair);
+        continue;
+      }
+      if (!(pick.token in original)) original[pick.token] = pick.from;
+      setTokenAt(patched, pick.token, pick.to);
+      applied = true;
+      break;
+    }
+    if (!applied) break;
+    validation = validate(patched);
+  }
+
+  const patches = Object.entries(original)
+    .map(([token, from]) => ({ token, from, to: tokenAt(patched, token) }))
+    .filter((p) => p.from !== p.to);
+
+  return { pass: validation.pass, suggestions, patched, patches, validation };
+}
+
+/* -----------------------------
+   HTML report
+------------------------------ */
+// 반투명 토큰은 색만 시뮬레이션하고 alpha는 유지
+function cvdSwatch(value, mode) {
+  const { hex, alpha } = splitAlpha(value);
+  return alpha < 1 ? withAlpha(applyCvd(hex, mode), alpha) : applyCvd(hex, mode);
+}
+
+/**
+ * recommendTokensDual 결과(또는 toJson 출력을 파싱한 객체)를 외부 의존성 없는
+ * 단일 HTML 문서로 렌더링. 라이트/다크 미리보기(버튼 상태, semantic 알림),
+ * 모드·CVD별 대비 검사표, CVD 시뮬레이션 스와치를 포함.
+ *
+ * options: { title }
+ */
+export function renderReport(result, options = {}) {
+  const meta = result.meta ?? {};
+  const target = meta.contrastTarget ?? "AA";
+  const model = meta.contrastModel ?? "wcag2";
+  // 생성 때 지정한 색각 모드 (severity 포함)로 검사하고, 원본은 항상 포함
+  const cvdModes = normalizeCvdModes(["none", ...(meta.cvdModes ?? DEFAULT_CVD_MODES)]);
+
+  const themes = ["light", "dark"]
+    .filter((name) => result[name] && result[name].tokens)
+    .map((name) => {
+      const tokens = result[name].tokens;
+      const validation = validateTokens(tokens, target, cvdModes, {
+        contrastModel: model,
+        rules: meta.rules,
+        roles: meta.roles,
+        borderMin: meta.borderMin,
+      });
+      return {
+        name,
+        tokens,
+        pass: validation.pass,
+        swatches: flattenTokens(tokens).map((e) => ({
+          path: e.path.join("."),
+          cvd: Object.fromEntries(cvdModes.map((m) => [m, cvdSwatch(e.value, m)])),
+        })),
+        checks: checkReports(validation).flatMap((r) => r.checks),
+      };
+    });
+  if (themes.length === 0) throw new Error("renderReport: result has no light/dark tokens.");
+
+  return toHtml({
+    title: options.title ?? `chroma-ux report ${meta.primaryHex ?? ""}`.trim(),
+    meta,
+    target,
+    model,
+    cvdModes,
+    themes,
+  });
 }
 
 export function recommendTokensDualAsJson(options) {
-  const res = recommendTokensDual(options);
-  return JSON.stringify(
-    {
-      meta: res.meta,
-      light: {
-        score: res.light.score,
-        contrastPass: res.light.report.contrast.passAll,
-        statePass: res.light.report.states.passAll,
-        worstContrast: res.light.report.contrast.worstRatio,
-        worstState: res.light.report.states.worstRatio,
-        tokens: res.light.tokens,
-      },
-      dark: {
-        score: res.dark.score,
-        contrastPass: res.dark.report.contrast.passAll,
-        statePass: res.dark.report.states.passAll,
-        worstContrast: res.dark.report.contrast.worstRatio,
-        worstState: res.dark.report.states.worstRatio,
-        tokens: res.dark.tokens,
-      },
-    },
-    null,
-    2
-  );
+  return toJson(recommendTokensDual(options));
 }
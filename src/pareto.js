@@ -0,0 +1,62 @@
+/* -----------------------------
+   Pareto archive (multi-objective mode)
+------------------------------ */
+// entry: { objectives: { [목적]: 0–1, 클수록 좋음 }, feasible, violation, score, ... }
+export const PARETO_OBJECTIVES = ["contrast", "harmony", "emphasis", "cvd", "gamut"];
+
+// 가능해(모든 hard constraint 통과)가 불가능해를 지배. 불가능해끼리는 위반량도
+// (작을수록 좋은) 목적 하나로 취급해, 통과하는 해가 없어도 front가 trade-off를 보여 줌
+export function dominates(a, b) {
+  if (a.feasible !== b.feasible) return a.feasible;
+  if (!a.feasible && a.violation > b.violation) return false;
+  let better = !a.feasible && a.violation < b.violation;
+  for (const k of PARETO_OBJECTIVES) {
+    if (a.objectives[k] < b.objectives[k]) return false;
+    if (a.objectives[k] > b.objectives[k]) better = true;
+  }
+  return better;
+}
+
+function sameObjectives(a, b) {
+  return (
+    a.feasible === b.feasible &&
+    a.violation === b.violation &&
+    PARETO_OBJECTIVES.every((k) => a.objectives[k] === b.objectives[k])
+  );
+}
+
+// 넘치면 목적 공간에서 가장 붐비는 해(최근접 이웃이 가장 가까운 해)를 버림.
+// 목적별 최고값과 위반량 최소인 해는 유지
+export function mostCrowded(front) {
+  const bestBy = (value) =>
+    front.reduce((best, f, i) => (value(f) > value(front[best]) ? i : best), 0);
+  const extremes = new Set([
+    ...PARETO_OBJECTIVES.map((k) => bestBy((f) => f.objectives[k])),
+    bestBy((f) => -f.violation),
+  ]);
+  let worst = -1;
+  let worstD = Infinity;
+  front.forEach((a, i) => {
+    if (extremes.has(i) && extremes.size < front.length) return;
+    let d = Infinity;
+    front.forEach((b, j) => {
+      if (i === j) return;
+      const diff = PARETO_OBJECTIVES.map((k) => a.objectives[k] - b.objectives[k]);
+      d = Math.min(d, Math.hypot(...diff, a.violation - b.violation));
+    });
+    if (d < worstD || (d === worstD && a.score < front[worst].score)) {
+      worst = i;
+      worstD = d;
+    }
+  });
+  return worst;
+}
+
+export function paretoInsert(front, entry, maxSize) {
+  if (front.some((f) => dominates(f, entry) || sameObjectives(f, entry))) return;
+  for (let i = front.length - 1; i >= 0; i--) {
+    if (dominates(entry, front[i])) front.splice(i, 1);
+  }
+  front.push(entry);
+  if (front.length > maxSize) front.splice(mostCrowded(front), 1);
+}
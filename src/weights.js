@@ -0,0 +1,18 @@
+/* -----------------------------
+   Default score weights
+------------------------------ */
+export const DEFAULT_WEIGHTS = {
+  contrast: 3.2,
+  toneSystem: 1.1,
+  emphasis: 1.3,
+  harmony: 0.7,
+  cvdRobust: 1.4,
+  semanticSeparation: 1.0,
+  gamutPenalty: 2.0,
+  stateContrast: 1.4,
+  nonTextContrast: 1.6,
+  // crossMode: "penalized"에서만 사용
+  crossModeConsistency: 1.0,
+};
+
+export const WEIGHT_KEYS = Object.keys(DEFAULT_WEIGHTS);
@@ -0,0 +1,106 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { deltaE, deltaE2000, deltaECam16, hexToCam16Ucs, hexToLab } from "../src/index.js";
+
+function assertClose(actual, expected, tolerance, label) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${label}: expected ${expected} ± ${tolerance}, got ${actual}`
+  );
+}
+
+// Sharma, Wu & Dalal (2005) CIEDE2000 테스트 데이터 (Lab 쌍, ΔE00 소수 넷째 자리)
+const SHARMA_PAIRS = [
+  [[50.0, 2.6772, -79.7751], [50.0, 0.0, -82.7485], 2.0425],
+  [[50.0, 3.1571, -77.2803], [50.0, 0.0, -82.7485], 2.8615],
+  [[50.0, 2.8361, -74.02], [50.0, 0.0, -82.7485], 3.4412],
+  [[50.0, -1.3802, -84.2814], [50.0, 0.0, -82.7485], 1.0],
+  [[50.0, 0.0, 0.0], [50.0, -1.0, 2.0], 2.3669],
+  [[50.0, -1.0, 2.0], [50.0, 0.0, 0.0], 2.3669],
+  [[50.0, 2.49, -0.001], [50.0, -2.49, 0.0009], 7.1792],
+  [[50.0, 2.49, -0.001], [50.0, -2.49, 0.001], 7.1792],
+  [[50.0, 2.49, -0.001], [50.0, -2.49, 0.0011], 7.2195],
+  [[50.0, -0.001, 2.49], [50.0, 0.0009, -2.49], 4.8045],
+  [[50.0, 2.5, 0.0], [50.0, 0.0, -2.5], 4.3065],
+  [[50.0, 2.5, 0.0], [73.0, 25.0, -18.0], 27.1492],
+  [[50.0, 2.5, 0.0], [61.0, -5.0, 29.0], 22.8977],
+  [[50.0, 2.5, 0.0], [56.0, -27.0, -3.0], 31.903],
+  [[50.0, 2.5, 0.0], [58.0, 24.0, 15.0], 19.4535],
+  [[50.0, 2.5, 0.0], [50.0, 3.1736, 0.5854], 1.0],
+  [[50.0, 2.5, 0.0], [50.0, 3.2972, 0.0], 1.0],
+  [[60.2574, -34.0099, 36.2677], [60.4626, -34.1751, 39.4387], 1.2644],
+  [[63.0109, -31.0961, -5.8663], [62.8187, -29.7946, -4.0864], 1.263],
+  [[61.2901, 3.7196, -5.3901], [61.4292, 2.248, -4.962], 1.8731],
+  [[35.0831, -44.1164, 3.7933], [35.0232, -40.0716, 1.5901], 1.8645],
+  [[22.7233, 20.0904, -46.694], [23.0331, 14.973, -42.5619], 2.0373],
+  [[36.4612, 47.858, 18.3852], [36.2715, 50.5065, 21.2231], 1.4146],
+  [[90.8027, -2.0831, 1.441], [91.1528, -1.6435, 0.0447], 1.4441],
+  [[90.9257, -0.5406, -0.9208], [88.6381, -0.8985, -0.7239], 1.5381],
+  [[6.7747, -0.2908, -2.4247], [5.8714, -0.0985, -2.2286], 0.6377],
+  [[2.0776, 0.0795, -1.135], [0.9033, -0.0636, -0.5514], 0.9082],
+];
+
+const lab = ([L, a, b]) => ({ L, a, b });
+
+test("deltaE2000 matches the Sharma et al. reference pairs", () => {
+  SHARMA_PAIRS.forEach(([c1, c2, expected], i) => {
+    assertClose(deltaE2000(lab(c1), lab(c2)), expected, 1e-4, `pair ${i + 1}`);
+  });
+});
+
+test("deltaE2000 is symmetric and zero for identical colours", () => {
+  assert.equal(deltaE2000("#3B82F6", "#3B82F6"), 0);
+  assertClose(deltaE2000("#3B82F6", "#F5A623"), deltaE2000("#F5A623", "#3B82F6"), 1e-9, "swap");
+  assert.equal(deltaE("#3B82F6", "#F5A623", "ciede2000"), deltaE2000("#3B82F6", "#F5A623"));
+});
+
+// sRGB -> CIELAB (D65). 참조값은 colorjs.io 0.5 "lab-d65"
+const LAB_REFERENCE = [
+  ["#FFFFFF", [100.0, 0.0, 0.0]],
+  ["#808080", [53.585, 0.0, 0.0]],
+  ["#FF0000", [53.2371, 80.0901, 67.2033]],
+  ["#00FF00", [87.7355, -86.1816, 83.1866]],
+  ["#0000FF", [32.3009, 79.1953, -107.8555]],
+  ["#3B82F6", [55.632, 17.5507, -64.4197]],
+];
+
+test("hexToLab matches reference CIELAB values", () => {
+  for (const [hex, [L, a, b]] of LAB_REFERENCE) {
+    const out = hexToLab(hex);
+    assertClose(out.L, L, 0.02, `${hex} L`);
+    assertClose(out.a, a, 0.02, `${hex} a`);
+    assertClose(out.b, b, 0.02, `${hex} b`);
+  }
+});
+
+/*
+ * CAM16-UCS (J', a', b'). 같은 관찰 조건(D65, L_A = 64/π/5, Yb 20, average)의
+ * colorjs.io 0.5 "cam16-jmh" 값을 Li et al. (2017) 식으로 UCS로 옮긴 값
+ */
+const CAM16_UCS_REFERENCE = [
+  ["#FFFFFF", [100.0, -1.8983, -1.0754]],
+  ["#808080", [56.2298, -1.2555, -0.7113]],
+  ["#FF0000", [59.1778, 40.8198, 21.1529]],
+  ["#00FF00", [86.5492, -35.4865, 27.5029]],
+  ["#0000FF", [36.2518, 8.5723, -37.8701]],
+  ["#3B82F6", [58.3972, -2.0389, -31.4625]],
+  ["#F5A623", [77.3934, 8.0476, 27.0028]],
+];
+
+test("hexToCam16Ucs matches reference CAM16-UCS values", () => {
+  for (const [hex, [J, a, b]] of CAM16_UCS_REFERENCE) {
+    const out = hexToCam16Ucs(hex);
+    assertClose(out.J, J, 0.02, `${hex} J'`);
+    assertClose(out.a, a, 0.02, `${hex} a'`);
+    assertClose(out.b, b, 0.02, `${hex} b'`);
+  }
+});
+
+test("deltaECam16 is the euclidean distance in CAM16-UCS", () => {
+  const [, u1] = CAM16_UCS_REFERENCE[2];
+  const [, u2] = CAM16_UCS_REFERENCE[4];
+  const expected = Math.hypot(u1[0] - u2[0], u1[1] - u2[1], u1[2] - u2[2]);
+  assertClose(deltaECam16("#FF0000", "#0000FF"), expected, 0.05, "red/blue");
+  assert.equal(deltaECam16("#3B82F6", "#3B82F6"), 0);
+});
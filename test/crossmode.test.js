@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { SHARED_HUE_PARAMS, hueParamDivergence, shareHues } from "../src/crossmode.js";
+import { crossModeConsistency, recommendTokensDual } from "../src/index.js";
+
+const LIGHT = {
+  seedHue: 250,
+  neutralHue: 255,
+  secondaryHue: 240,
+  accentHue: 20,
+  successHue: 145,
+  warningHue: 85,
+  dangerHue: 25,
+  infoHue: 245,
+  focusFrom: "primary",
+  bgL: 0.96,
+};
+const DARK = {
+  ...LIGHT,
+  seedHue: 10,
+  accentHue: 200,
+  focusFrom: "accent",
+  bgL: 0.12,
+};
+
+// 같은 시드, 적은 반복 수로 crossMode만 바꿔 실행
+const run = (crossMode) =>
+  recommendTokensDual({ primaryHex: "#3B82F6", randomSeed: 1, iterations: 120, crossMode });
+
+test("shareHues copies every hue parameter and keeps the rest", () => {
+  const dark = shareHues(LIGHT, DARK);
+  for (const k of SHARED_HUE_PARAMS) assert.equal(dark[k], LIGHT[k], k);
+  assert.equal(dark.bgL, DARK.bgL);
+  assert.equal(hueParamDivergence(LIGHT, dark), 0);
+});
+
+test("hueParamDivergence counts 30° as 1, wraps around 360° and counts focusFrom", () => {
+  assert.equal(hueParamDivergence(LIGHT, { ...LIGHT, accentHue: 50 }), 1);
+  assert.equal(hueParamDivergence(LIGHT, { ...LIGHT, seedHue: 280 }), 1);
+  // 250° -> 10°는 120° 차이
+  assert.equal(hueParamDivergence(LIGHT, { ...LIGHT, seedHue: 10 }), 4);
+  assert.equal(hueParamDivergence(LIGHT, { ...LIGHT, focusFrom: "accent" }), 1);
+  // 250°/10°(4) + 20°/200°(6) + focusFrom(1)
+  assert.equal(hueParamDivergence(LIGHT, DARK), 11);
+});
+
+test("crossModeConsistency measures hue drift of chromatic roles only", () => {
+  const light = { secondary: "#3B82F6", accent: "#F5A623", focusRing: "#808080" };
+  const same = crossModeConsistency(light, light);
+  assert.equal(same.score, 1);
+  // 무채색 focusRing은 제외
+  assert.deepEqual(Object.keys(same.hueDrift), ["secondary", "accent"]);
+
+  const dark = { ...light, accent: "#10B981" };
+  const drifted = crossModeConsistency(light, dark);
+  assert.ok(drifted.hueDrift.accent > 30, `accent drift ${drifted.hueDrift.accent}`);
+  assert.equal(drifted.score, 0.5);
+});
+
+test("shared and penalized runs drift less across modes than independent ones", () => {
+  const drift = (r) => crossModeConsistency(r.light.tokens, r.dark.tokens).score;
+  const independent = drift(run("independent"));
+  const penalized = drift(run("penalized"));
+  const shared = drift(run("shared"));
+
+  assert.ok(penalized > independent, `penalized ${penalized} <= independent ${independent}`);
+  assert.ok(shared > penalized, `shared ${shared} <= penalized ${penalized}`);
+  assert.ok(shared > 0.9, `shared ${shared}`);
+});
+
+test("pareto requires crossMode independent", () => {
+  for (const crossMode of ["shared", "penalized"]) {
+    assert.throws(
+      () => recommendTokensDual({ primaryHex: "#3B82F6", pareto: true, crossMode }),
+      /pareto is only supported with crossMode "independent"/
+    );
+  }
+  assert.throws(
+    () => recommendTokensDual({ primaryHex: "#3B82F6", crossMode: "joint" }),
+    /Unknown crossMode: joint/
+  );
+});
@@ -0,0 +1,132 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { applyCvd, normalizeCvdMode } from "../src/index.js";
+
+/*
+ * Machado, Oliveira & Fernandes (2009) 논문 부록의 행렬 (행 우선, linear RGB).
+ * 구현의 표와 별도로 옮겨 적은 값
+ */
+const MACHADO_PUBLISHED = {
+  protan: [
+    [0.152286, 1.052583, -0.204868],
+    [0.114503, 0.786281, 0.099216],
+    [-0.003882, -0.048116, 1.051998],
+  ],
+  deutan: [
+    [0.367322, 0.860646, -0.227968],
+    [0.280085, 0.672501, 0.047413],
+    [-0.01182, 0.04294, 0.968881],
+  ],
+  tritan: [
+    [1.255528, -0.076749, -0.178779],
+    [-0.078411, 0.930809, 0.147602],
+    [0.004733, 0.691367, 0.3039],
+  ],
+  "deutan:0.6": [
+    [0.498864, 0.674741, -0.173604],
+    [0.205199, 0.754872, 0.039929],
+    [-0.011131, 0.030969, 0.980162],
+  ],
+  "deutan:0.7": [
+    [0.457771, 0.731899, -0.18967],
+    [0.226409, 0.731012, 0.042579],
+    [-0.011595, 0.034333, 0.977261],
+  ],
+};
+
+const SAMPLES = ["#3B82F6", "#F5A623", "#10B981", "#DC2626", "#7C3AED", "#808080"];
+
+const toLinear = (c) => (c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4);
+const toSrgb = (c) => (c <= 0.0031308 ? 12.92 * c : 1.055 * c ** (1 / 2.4) - 0.055);
+
+function channels(hex) {
+  return [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+}
+
+// 행렬을 linear RGB에 적용하고 [0, 1]로 자른 뒤 0–255 채널로
+function simulate(hex, matrix) {
+  const lin = channels(hex).map((v) => toLinear(v / 255));
+  return matrix.map((row) => {
+    const v = row.reduce((sum, m, i) => sum + m * lin[i], 0);
+    return Math.round(toSrgb(Math.min(1, Math.max(0, v))) * 255);
+  });
+}
+
+function assertChannels(actualHex, expected, label) {
+  const actual = channels(actualHex);
+  actual.forEach((v, i) => {
+    assert.ok(Math.abs(v - expected[i]) <= 1, `${label}: expected ${expected}, got ${actual}`);
+  });
+}
+
+test("applyCvd at full severity matches the published Machado matrices", () => {
+  for (const type of ["protan", "deutan", "tritan"]) {
+    for (const hex of SAMPLES) {
+      assertChannels(applyCvd(hex, type), simulate(hex, MACHADO_PUBLISHED[type]), `${type} ${hex}`);
+    }
+  }
+});
+
+test("applyCvd at a tabulated partial severity matches the published row", () => {
+  for (const hex of SAMPLES) {
+    const expected = simulate(hex, MACHADO_PUBLISHED["deutan:0.6"]);
+    assertChannels(applyCvd(hex, "deutan:0.6"), expected, `deutan:0.6 ${hex}`);
+    assertChannels(applyCvd(hex, { type: "deutan", severity: 0.6 }), expected, `object ${hex}`);
+  }
+});
+
+test("applyCvd interpolates linearly between tabulated severities", () => {
+  const lo = MACHADO_PUBLISHED["deutan:0.6"];
+  const hi = MACHADO_PUBLISHED["deutan:0.7"];
+  const mid = lo.map((row, r) => row.map((v, c) => (v + hi[r][c]) / 2));
+  for (const hex of SAMPLES) {
+    assertChannels(applyCvd(hex, "deutan:0.65"), simulate(hex, mid), `deutan:0.65 ${hex}`);
+  }
+});
+
+test("applyCvd leaves colours unchanged for none and severity 0", () => {
+  assert.equal(applyCvd("#3b82f6", "none"), "#3B82F6");
+  for (const hex of SAMPLES) assertChannels(applyCvd(hex, "protan:0"), channels(hex), hex);
+});
+
+// Rec. 709 휘도 가중치
+const Y = [0.2126, 0.7152, 0.0722];
+const GREY = [Y, Y, Y];
+
+test("achromatopsia maps every colour to a grey of the same luminance", () => {
+  for (const hex of SAMPLES) {
+    const [r, g, b] = channels(applyCvd(hex, "achromatopsia"));
+    assert.ok(Math.abs(r - g) <= 1 && Math.abs(g - b) <= 1, `${hex} -> ${r},${g},${b}`);
+    assertChannels(applyCvd(hex, "achromatopsia"), simulate(hex, GREY), `achromatopsia ${hex}`);
+  }
+});
+
+test("normalizeCvdMode accepts names, type:severity strings and objects", () => {
+  assert.deepEqual(normalizeCvdMode("none"), { type: "none", severity: 0, key: "none" });
+  assert.deepEqual(normalizeCvdMode("deutan"), { type: "deutan", severity: 1, key: "deutan" });
+  assert.deepEqual(normalizeCvdMode("deutan:0.6"), {
+    type: "deutan",
+    severity: 0.6,
+    key: "deutan:0.6",
+  });
+  assert.deepEqual(normalizeCvdMode({ type: "protan", severity: 0.25 }), {
+    type: "protan",
+    severity: 0.25,
+    key: "protan:0.25",
+  });
+  // severity 기본 1, 1이면 key는 type만
+  assert.equal(normalizeCvdMode({ type: "tritan" }).key, "tritan");
+  assert.equal(normalizeCvdMode("tritan:1").key, "tritan");
+  // key는 0.01 단위로 반올림
+  assert.equal(normalizeCvdMode("deutan:0.604").key, "deutan:0.6");
+});
+
+test("normalizeCvdMode rejects unknown types and invalid severities", () => {
+  assert.throws(() => normalizeCvdMode("deuteranopia"), /Unknown CVD mode/);
+  assert.throws(() => normalizeCvdMode({ type: "red", severity: 0.5 }), /Unknown CVD mode/);
+  assert.throws(() => normalizeCvdMode("deutan:x"), /CVD severity must be between 0 and 1/);
+  assert.throws(() => normalizeCvdMode("deutan:1.5"), /CVD severity must be between 0 and 1/);
+  assert.throws(() => normalizeCvdMode({ type: "protan", severity: -0.1 }), /between 0 and 1/);
+  assert.throws(() => normalizeCvdMode({ type: "protan", severity: "0.5" }), /between 0 and 1/);
+});
@@ -0,0 +1,106 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { PARETO_OBJECTIVES, dominates, mostCrowded, paretoInsert } from "../src/pareto.js";
+
+// 목적 값은 PARETO_OBJECTIVES 순서의 배열로 지정
+function entry(name, values, { feasible = true, violation = 0, score = 0 } = {}) {
+  const objectives = Object.fromEntries(PARETO_OBJECTIVES.map((k, i) => [k, values[i]]));
+  return { name, objectives, feasible, violation, score };
+}
+
+const names = (front) => front.map((f) => f.name).sort();
+
+test("a dominated entry is rejected and a dominating one replaces the front", () => {
+  const front = [];
+  paretoInsert(front, entry("a", [0.8, 0.8, 0.8, 0.8, 0.8]), 8);
+  paretoInsert(front, entry("worse", [0.5, 0.8, 0.8, 0.8, 0.8]), 8);
+  assert.deepEqual(names(front), ["a"]);
+
+  // 같은 목적 벡터도 중복으로 보고 버림
+  paretoInsert(front, entry("same", [0.8, 0.8, 0.8, 0.8, 0.8]), 8);
+  assert.deepEqual(names(front), ["a"]);
+
+  paretoInsert(front, entry("trade", [0.9, 0.7, 0.8, 0.8, 0.8]), 8);
+  assert.deepEqual(names(front), ["a", "trade"]);
+
+  paretoInsert(front, entry("best", [0.9, 0.8, 0.8, 0.8, 0.8]), 8);
+  assert.deepEqual(names(front), ["best"]);
+});
+
+test("a feasible entry dominates an infeasible one regardless of objectives", () => {
+  const feasible = entry("ok", [0.1, 0.1, 0.1, 0.1, 0.1]);
+  const infeasible = entry("bad", [1, 1, 1, 1, 1], { feasible: false, violation: 0.01 });
+  assert.equal(dominates(feasible, infeasible), true);
+  assert.equal(dominates(infeasible, feasible), false);
+
+  const front = [];
+  paretoInsert(front, infeasible, 8);
+  paretoInsert(front, feasible, 8);
+  assert.deepEqual(names(front), ["ok"]);
+  paretoInsert(front, entry("bad2", [1, 1, 1, 1, 1], { feasible: false, violation: 0 }), 8);
+  assert.deepEqual(names(front), ["ok"]);
+});
+
+test("among infeasible entries a smaller violation dominates", () => {
+  const values = [0.6, 0.6, 0.6, 0.6, 0.6];
+  const small = entry("small", values, { feasible: false, violation: 0.1 });
+  const large = entry("large", values, { feasible: false, violation: 0.4 });
+  assert.equal(dominates(small, large), true);
+  assert.equal(dominates(large, small), false);
+
+  // 위반량이 작아도 목적이 하나라도 나쁘면 서로 지배하지 않음
+  const tradeOff = entry("trade", [0.7, 0.6, 0.6, 0.6, 0.6], { feasible: false, violation: 0.4 });
+  assert.equal(dominates(small, tradeOff), false);
+  assert.equal(dominates(tradeOff, small), false);
+
+  const front = [];
+  paretoInsert(front, large, 8);
+  paretoInsert(front, tradeOff, 8);
+  paretoInsert(front, small, 8);
+  assert.deepEqual(names(front), ["small", "trade"]);
+});
+
+// 목적 하나씩 최고인 해 + 가운데에 몰린 trade-off 해들 (서로 지배하지 않음)
+function crowdedFront(options) {
+  const extremes = PARETO_OBJECTIVES.map((k, i) =>
+    entry(
+      `best:${k}`,
+      PARETO_OBJECTIVES.map((_, j) => (i === j ? 1 : 0)),
+      options
+    )
+  );
+  const middle = [0, 1, 2, 3].map((i) =>
+    entry(`mid${i}`, [0.5 + 0.01 * i, 0.5 - 0.01 * i, 0.5, 0.5, 0.5], options)
+  );
+  return { extremes, middle };
+}
+
+test("mostCrowded never picks a per-objective extreme", () => {
+  const { extremes, middle } = crowdedFront();
+  const front = [...extremes, ...middle];
+  const i = mostCrowded(front);
+  assert.match(front[i].name, /^mid/);
+});
+
+test("capacity eviction keeps the per-objective extremes", () => {
+  const { extremes, middle } = crowdedFront();
+  const maxSize = extremes.length + 1;
+  const front = [];
+  for (const e of [...middle, ...extremes]) paretoInsert(front, e, maxSize);
+
+  assert.equal(front.length, maxSize);
+  for (const e of extremes) assert.ok(front.includes(e), `${e.name} evicted`);
+});
+
+test("capacity eviction keeps the least-violating infeasible entry", () => {
+  const { extremes, middle } = crowdedFront({ feasible: false, violation: 0.5 });
+  const least = entry("least", [0.52, 0.48, 0.5, 0.5, 0.49], { feasible: false, violation: 0.05 });
+  const maxSize = extremes.length + 1;
+  const front = [];
+  for (const e of [...extremes, ...middle, least]) paretoInsert(front, e, maxSize);
+
+  assert.equal(front.length, maxSize);
+  assert.ok(front.includes(least), "least-violating entry evicted");
+  for (const e of extremes) assert.ok(front.includes(e), `${e.name} evicted`);
+});